@@ -0,0 +1,3216 @@
+// Calendar Calculator - výpočetní jádro
+// Čistě výpočetní funkce bez DOM a bez i18n. Vrací prostá data (čísla, data
+// ve tvaru {day, month, year} a textové kódy), texty a HTML skládá až index.html.
+// Načítá se jako <script> ve stránce, přes importScripts() ve Web Workeru
+// i přes require() v Node.js.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CalendarCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    var SYNODIC_MONTH = 29.53058867; // synodický měsíc ve dnech
+
+    // Moon phase codes, in order of the lunar cycle (i18n key: 'moon_' + code)
+    var MOON_PHASES = ['new', 'waxing_crescent', 'first_quarter', 'waxing_gibbous',
+        'full', 'waning_gibbous', 'last_quarter', 'waning_crescent'];
+
+    // Zodiac constellations by 30° of ecliptic longitude (i18n key: 'constellation_' + code)
+    var CONSTELLATIONS = ['aries', 'taurus', 'gemini', 'cancer', 'leo', 'virgo',
+        'libra', 'scorpio', 'sagittarius', 'capricorn', 'aquarius', 'pisces'];
+
+    // ------------------------------------------------------------------
+    // Calendar basics
+    // ------------------------------------------------------------------
+
+    // Gregorian reform by country: last Julian and first Gregorian date
+    // ([year, month, day]). 'julian' and 'gregorian' are proleptic calendars
+    // without any transition. Sweden additionally used its own calendar
+    // 1.3.1700-30.2.1712 (Julian + 1 day), see SWEDISH_CALENDAR.
+    var REFORMS = {
+        rome: { lastJulian: [1582, 10, 4], firstGregorian: [1582, 10, 15] },
+        france: { lastJulian: [1582, 12, 9], firstGregorian: [1582, 12, 20] },
+        bohemia: { lastJulian: [1584, 1, 6], firstGregorian: [1584, 1, 17] },
+        hungary: { lastJulian: [1587, 10, 21], firstGregorian: [1587, 11, 1] },
+        prussia: { lastJulian: [1610, 8, 22], firstGregorian: [1610, 9, 2] },
+        protestant_germany: { lastJulian: [1700, 2, 18], firstGregorian: [1700, 3, 1] },
+        great_britain: { lastJulian: [1752, 9, 2], firstGregorian: [1752, 9, 14] },
+        sweden: { lastJulian: [1753, 2, 17], firstGregorian: [1753, 3, 1] },
+        bulgaria: { lastJulian: [1916, 3, 31], firstGregorian: [1916, 4, 14] },
+        russia: { lastJulian: [1918, 1, 31], firstGregorian: [1918, 2, 14] },
+        serbia: { lastJulian: [1919, 1, 14], firstGregorian: [1919, 1, 28] },
+        romania: { lastJulian: [1919, 3, 31], firstGregorian: [1919, 4, 14] },
+        greece: { lastJulian: [1923, 2, 15], firstGregorian: [1923, 3, 1] },
+        julian: { proleptic: 'julian' },
+        gregorian: { proleptic: 'gregorian' }
+    };
+
+    // Order for country selectors (i18n key: 'reform_' + code)
+    var REFORM_REGIONS = ['rome', 'france', 'bohemia', 'hungary', 'prussia', 'protestant_germany',
+        'great_britain', 'sweden', 'bulgaria', 'russia', 'serbia', 'romania', 'greece', 'julian', 'gregorian'];
+
+    var DEFAULT_REFORM = 'rome';
+
+    // Swedish calendar: leap day 1700 skipped, 30.2.1712 added to return to Julian
+    var SWEDISH_CALENDAR = { first: [1700, 3, 1], last: [1712, 2, 30] };
+
+    function getReform(region) {
+        return REFORMS[region] || REFORMS[DEFAULT_REFORM];
+    }
+
+    // Compares two [year, month, day] tuples
+    function compareDates(a, b) {
+        return (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]);
+    }
+
+    function isSwedishCalendarDate(day, month, year, region) {
+        if (region !== 'sweden') return false;
+        var date = [year, month, day];
+        return compareDates(date, SWEDISH_CALENDAR.first) >= 0 && compareDates(date, SWEDISH_CALENDAR.last) <= 0;
+    }
+
+    // Julian calendar applies up to the last Julian date of the region
+    function isJulianDate(day, month, year, region) {
+        var reform = getReform(region);
+        if (reform.proleptic) return reform.proleptic === 'julian';
+        return compareDates([year, month, day], reform.lastJulian) <= 0;
+    }
+
+    // Days skipped by the reform in the region (e.g. 5.-14.10.1582)
+    function isNonexistentDate(day, month, year, region) {
+        var reform = getReform(region);
+        if (reform.proleptic) return false;
+        if (region === 'sweden' && year === 1700 && month === 2 && day === 29) return true;
+        var date = [year, month, day];
+        return compareDates(date, reform.lastJulian) > 0 && compareDates(date, reform.firstGregorian) < 0;
+    }
+
+    function isLeapYear(year, region) {
+        var reform = getReform(region);
+        var julian;
+        if (reform.proleptic) {
+            julian = reform.proleptic === 'julian';
+        } else if (year !== reform.firstGregorian[0]) {
+            julian = year < reform.firstGregorian[0];
+        } else {
+            // Reform year: February decides
+            julian = reform.firstGregorian[1] > 2;
+        }
+        if (region === 'sweden' && year === 1700) return false;
+
+        if (julian) {
+            return year % 4 === 0;
+        } else {
+            return (year % 4 === 0 && year % 100 !== 0) || (year % 400 === 0);
+        }
+    }
+
+    function getDaysInMonth(month, year, region) {
+        if (region === 'sweden' && year === 1712 && month === 2) return 30;
+        var daysInMonth = [31, isLeapYear(year, region) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+        return daysInMonth[month - 1];
+    }
+
+    // Julian day number of a date as written in the region.
+    // Returns {jdn, calendar: 'julian'|'gregorian'|'swedish'} or null for skipped days
+    function getLocalJulianDayNumber(day, month, year, region) {
+        if (isNonexistentDate(day, month, year, region)) return null;
+        if (isSwedishCalendarDate(day, month, year, region)) {
+            return { jdn: getJulianDayNumber(day, month, year, true) - 1, calendar: 'swedish' };
+        }
+        var julian = isJulianDate(day, month, year, region);
+        return {
+            jdn: getJulianDayNumber(day, month, year, julian),
+            calendar: julian ? 'julian' : 'gregorian'
+        };
+    }
+
+    // Date as written in the region for a Julian day number.
+    // Returns {day, month, year, calendar: 'julian'|'gregorian'|'swedish'}
+    function getLocalDateFromJulianDay(jdn, region) {
+        var reform = getReform(region);
+        var julian;
+        if (reform.proleptic) {
+            julian = reform.proleptic === 'julian';
+        } else {
+            var first = reform.firstGregorian;
+            julian = jdn < getJulianDayNumber(first[2], first[1], first[0]);
+        }
+
+        var date = getDateFromJulianDay(jdn, julian);
+        date.calendar = julian ? 'julian' : 'gregorian';
+
+        if (julian && region === 'sweden') {
+            var swedish = getDateFromJulianDay(jdn + 1, true);
+            // 29.2.1712 Julian was written as 30.2.1712
+            if (swedish.year === 1712 && swedish.month === 3 && swedish.day === 1) {
+                swedish = { day: 30, month: 2, year: 1712 };
+            }
+            if (isSwedishCalendarDate(swedish.day, swedish.month, swedish.year, region)) {
+                swedish.calendar = 'swedish';
+                return swedish;
+            }
+        }
+        return date;
+    }
+
+    // Julian day number calculations
+    function getJulianDayNumber(day, month, year, isJulian) {
+        if (isJulian === undefined) isJulian = false;
+
+        var a = Math.floor((14 - month) / 12);
+        var y = year + 4800 - a;
+        var m = month + 12 * a - 3;
+
+        var jdn = day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4);
+
+        if (!isJulian) {
+            jdn = jdn - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+        } else {
+            jdn = jdn - 32083;
+        }
+
+        return jdn;
+    }
+
+    function getDateFromJulianDay(jdn, isJulian) {
+        if (isJulian === undefined) isJulian = false;
+
+        var a, b, c, d, e;
+
+        if (!isJulian) {
+            a = jdn + 32044;
+            b = Math.floor((4 * a + 3) / 146097);
+            c = a - Math.floor((146097 * b) / 4);
+            d = Math.floor((4 * c + 3) / 1461);
+            e = c - Math.floor((1461 * d) / 4);
+        } else {
+            a = jdn + 32082;
+            d = Math.floor((4 * a + 3) / 1461);
+            e = a - Math.floor((1461 * d) / 4);
+        }
+
+        var m = Math.floor((5 * e + 2) / 153);
+        var day = e - Math.floor((153 * m + 2) / 5) + 1;
+        var month = m + 3 - 12 * Math.floor(m / 10);
+        var year = (!isJulian ? 100 * b : 0) + d - 4800 + Math.floor(m / 10);
+
+        return {
+            day: day,
+            month: month,
+            year: year
+        };
+    }
+
+    // Weekday index (0 = Sunday ... 6 = Saturday) of a Julian day number
+    function getWeekdayFromJDN(jdn) {
+        return ((jdn + 1) % 7 + 7) % 7;
+    }
+
+    // Day of week for a historical date as written in the region (Julian
+    // calendar before the region's reform, Gregorian after it).
+    // Returns {day, month, year, weekday, calendar: 'julian'|'gregorian'|'swedish', leapYear, nonexistent}
+    function getDayOfWeek(day, month, year, region) {
+        var local = getLocalJulianDayNumber(day, month, year, region);
+
+        return {
+            day: day,
+            month: month,
+            year: year,
+            weekday: local ? getWeekdayFromJDN(local.jdn) : null,
+            calendar: local ? local.calendar : null,
+            leapYear: isLeapYear(year, region),
+            nonexistent: !local
+        };
+    }
+
+    // Years in fromYear..toYear meeting all conditions, with dates read as
+    // written in the region (Julian before its reform). Conditions:
+    // {type: 'weekday', day, month, weekday (0 = Sunday)}, {type: 'leap'}, {type: 'common'}.
+    // Returns [{year, leapYear}]
+    function findYears(conditions, fromYear, toYear, region) {
+        var years = [];
+        for (var year = fromYear; year <= toYear; year++) {
+            var leapYear = isLeapYear(year, region);
+            var matches = conditions.every(function(condition) {
+                if (condition.type === 'leap') return leapYear;
+                if (condition.type === 'common') return !leapYear;
+                if (condition.day > getDaysInMonth(condition.month, year, region)) return false;
+                var info = getDayOfWeek(condition.day, condition.month, year, region);
+                return !info.nonexistent && info.weekday === condition.weekday;
+            });
+            if (matches) years.push({ year: year, leapYear: leapYear });
+        }
+        return years;
+    }
+
+    // Layout of a year's calendar: weekday of the 1st and length of every
+    // month, plus the days skipped by a calendar reform
+    function getYearLayout(year, region) {
+        var layout = [];
+        for (var month = 1; month <= 12; month++) {
+            var days = getDaysInMonth(month, year, region);
+            var first = 1;
+            while (first <= days && isNonexistentDate(first, month, year, region)) first++;
+            layout.push(getDayOfWeek(first, month, year, region).weekday + ':' + days);
+            for (var day = first + 1; day <= days; day++) {
+                if (isNonexistentDate(day, month, year, region)) layout.push('-' + month + '.' + day);
+            }
+        }
+        return layout.join(',');
+    }
+
+    // Weeks of a month as written in the region for a calendar grid, each week
+    // starting on firstWeekday (0 = Sunday). Days outside the month fill the
+    // first and last week; gap marks the first day after days skipped by a reform
+    // (also at the start of the month, e.g. 14.2.1918 in Russia).
+    // Returns [{isoWeek, days: [{jdn, day, month, year, calendar, weekday, outside, gap}]}]
+    function getMonthGrid(month, year, region, firstWeekday) {
+        var days = getDaysInMonth(month, year, region);
+        var first = 1;
+        var last = days;
+        while (first < days && isNonexistentDate(first, month, year, region)) first++;
+        while (last > first && isNonexistentDate(last, month, year, region)) last--;
+
+        var firstJdn = getLocalJulianDayNumber(first, month, year, region).jdn;
+        var lastJdn = getLocalJulianDayNumber(last, month, year, region).jdn;
+        var start = firstJdn - floorMod(getWeekdayFromJDN(firstJdn) - firstWeekday, 7);
+        var end = lastJdn + floorMod(firstWeekday - 1 - getWeekdayFromJDN(lastJdn), 7);
+
+        var weeks = [];
+        var previous = null;
+        for (var jdn = start; jdn <= end; jdn += 7) {
+            var week = [];
+            for (var offset = 0; offset < 7; offset++) {
+                var date = getLocalDateFromJulianDay(jdn + offset, region);
+                var outside = date.month !== month || date.year !== year;
+                var previousDay = previous && previous.month === month && previous.year === year ? previous.day : 0;
+                week.push({
+                    jdn: jdn + offset,
+                    day: date.day,
+                    month: date.month,
+                    year: date.year,
+                    calendar: date.calendar,
+                    weekday: getWeekdayFromJDN(jdn + offset),
+                    outside: outside,
+                    gap: !outside && date.day > previousDay + 1
+                });
+                previous = date;
+            }
+            // ISO týden podle pondělí, které v každém řádku je
+            weeks.push({ isoWeek: julianDayToIsoWeek(jdn + floorMod(1 - firstWeekday, 7)).week, days: week });
+        }
+        return weeks;
+    }
+
+    // Years in fromYear..toYear (other than year) whose calendar repeats the year's one.
+    // Returns [{year, leapYear}]
+    function findSameCalendarYears(year, fromYear, toYear, region) {
+        var layout = getYearLayout(year, region);
+        var years = [];
+        for (var y = fromYear; y <= toYear; y++) {
+            if (y !== year && getYearLayout(y, region) === layout) {
+                years.push({ year: y, leapYear: isLeapYear(y, region) });
+            }
+        }
+        return years;
+    }
+
+    // Date arithmetic (proleptic Gregorian)
+    function addDays(date, days) {
+        return getDateFromJulianDay(getJulianDayNumber(date.day, date.month, date.year) + days);
+    }
+
+    // Julian day number of the day-th of a month as written in the region,
+    // with the day clamped to the month length (31.1. + 1 month = 28.2.);
+    // a day skipped by the reform moves to the first day after the gap
+    function getClampedJulianDay(day, month, year, region) {
+        var clamped = Math.min(day, getDaysInMonth(month, year, region));
+        var local = getLocalJulianDayNumber(clamped, month, year, region);
+        if (local) return local.jdn;
+        for (var d = clamped - 1; d >= 1; d--) {
+            local = getLocalJulianDayNumber(d, month, year, region);
+            if (local) return local.jdn + 1;
+        }
+        return month === 1 ?
+            getClampedJulianDay(31, 12, year - 1, region) + 1 :
+            getClampedJulianDay(31, month - 1, year, region) + 1;
+    }
+
+    // Exact elapsed time between two dates as written in the region (Julian
+    // before its reform), optionally with hour and minute. Whole months are
+    // counted to the same day of the month, clamped at the month end.
+    // Returns {years, months, days, hours, minutes, totalDays, totalMinutes, negative}
+    // or null for a date skipped by the reform
+    function getDateDifference(from, to, region) {
+        var fromLocal = getLocalJulianDayNumber(from.day, from.month, from.year, region);
+        var toLocal = getLocalJulianDayNumber(to.day, to.month, to.year, region);
+        if (!fromLocal || !toLocal) return null;
+
+        var start = fromLocal.jdn * 1440 + (from.hour || 0) * 60 + (from.minute || 0);
+        var end = toLocal.jdn * 1440 + (to.hour || 0) * 60 + (to.minute || 0);
+        var negative = end < start;
+        if (negative) {
+            var swap = from;
+            from = to;
+            to = swap;
+            swap = start;
+            start = end;
+            end = swap;
+        }
+
+        var startTime = start - Math.floor(start / 1440) * 1440;
+        var anniversary = function(months) {
+            var index = from.month - 1 + months;
+            return getClampedJulianDay(from.day, index % 12 + 1, from.year + Math.floor(index / 12), region) * 1440 + startTime;
+        };
+        var months = (to.year - from.year) * 12 + (to.month - from.month);
+        while (months > 0 && anniversary(months) > end) months--;
+
+        var rest = end - anniversary(months);
+        return {
+            years: Math.floor(months / 12),
+            months: months % 12,
+            days: Math.floor(rest / 1440),
+            hours: Math.floor((rest % 1440) / 60),
+            minutes: rest % 60,
+            totalDays: Math.floor((end - start) / 1440),
+            totalMinutes: end - start,
+            negative: negative
+        };
+    }
+
+    // Next anniversary of a date (birthday) on or after the given day, as
+    // written in the region; 29.2. falls on 28.2. in common years.
+    // Returns {date: {day, month, year}, years, daysUntil, weekday} or null
+    // when a date is skipped by the reform or the day precedes the date
+    function getNextAnniversary(date, on, region) {
+        var origin = getLocalJulianDayNumber(date.day, date.month, date.year, region);
+        var current = getLocalJulianDayNumber(on.day, on.month, on.year, region);
+        if (!origin || !current || current.jdn < origin.jdn) return null;
+
+        var year = Math.max(on.year, date.year);
+        var jdn = getClampedJulianDay(date.day, date.month, year, region);
+        if (jdn < current.jdn) {
+            year++;
+            jdn = getClampedJulianDay(date.day, date.month, year, region);
+        }
+        var next = getLocalDateFromJulianDay(jdn, region);
+        return {
+            date: { day: next.day, month: next.month, year: next.year },
+            years: year - date.year,
+            daysUntil: jdn - current.jdn,
+            weekday: getWeekdayFromJDN(jdn)
+        };
+    }
+
+    // Easter calculation (Western computus, Meeus/Jones/Butcher)
+    function getEasterDate(year) {
+        var a = year % 19;
+        var b = Math.floor(year / 100);
+        var c = year % 100;
+        var d = Math.floor(b / 4);
+        var e = b % 4;
+        var f = Math.floor((b + 8) / 25);
+        var g = Math.floor((b - f + 1) / 3);
+        var h = (19 * a + b - d - g + 15) % 30;
+        var i = Math.floor(c / 4);
+        var k = c % 4;
+        var l = (32 + 2 * e + 2 * i - h - k) % 7;
+        var m = Math.floor((a + 11 * h + 22 * l) / 451);
+        var month = Math.floor((h + l - 7 * m + 114) / 31);
+        var day = ((h + l - 7 * m + 114) % 31) + 1;
+
+        return {
+            day: day,
+            month: month,
+            year: year
+        };
+    }
+
+    // Orthodox Easter (Julian computus, Meeus).
+    // Returns {julian: {day, month, year}, gregorian: {day, month, year}}
+    function getOrthodoxEasterDate(year) {
+        var a = year % 4;
+        var b = year % 7;
+        var c = year % 19;
+        var d = (19 * c + 15) % 30;
+        var e = (2 * a + 4 * b - d + 34) % 7;
+        var month = Math.floor((d + e + 114) / 31);
+        var day = ((d + e + 114) % 31) + 1;
+
+        return {
+            julian: { day: day, month: month, year: year },
+            gregorian: getDateFromJulianDay(getJulianDayNumber(day, month, year, true))
+        };
+    }
+
+    // Movable feasts and their offsets from Easter Sunday in days
+    var MOVABLE_FEASTS = [
+        ['septuagesima', -63],
+        ['ashWednesday', -46],
+        ['palmSunday', -7],
+        ['maundyThursday', -3],
+        ['goodFriday', -2],
+        ['easterSunday', 0],
+        ['easterMonday', 1],
+        ['whiteSunday', 7],
+        ['ascension', 39],
+        ['pentecost', 49],
+        ['whitMonday', 50],
+        ['trinitySunday', 56],
+        ['corpusChristi', 60]
+    ];
+
+    // Western movable feasts of the year (Gregorian dates) keyed by MOVABLE_FEASTS
+    // names, plus advent: the four Sundays of Advent
+    function getEasterFeasts(year) {
+        var easter = getEasterDate(year);
+        var feasts = {};
+        MOVABLE_FEASTS.forEach(function(feast) {
+            feasts[feast[0]] = addDays(easter, feast[1]);
+        });
+        feasts.advent = getAdventSundays(year);
+        return feasts;
+    }
+
+    // The four Sundays of Advent; the fourth is the last Sunday before Christmas
+    function getAdventSundays(year) {
+        var christmas = { day: 25, month: 12, year: year };
+        var weekday = getWeekdayFromJDN(getJulianDayNumber(25, 12, year));
+        var fourth = addDays(christmas, -(weekday === 0 ? 7 : weekday));
+        return [addDays(fourth, -21), addDays(fourth, -14), addDays(fourth, -7), fourth];
+    }
+
+    // First day of Passover (15 Nisan) in the given Gregorian year; the feast
+    // begins at sunset of the previous day.
+    // Returns {day, month, year, hebrewYear}
+    function getPassoverDate(year) {
+        var hebrewYear = year + 3760;
+        var date = getDateFromJulianDay(hebrewToJulianDay(15, 1, hebrewYear));
+        date.hebrewYear = hebrewYear;
+        return date;
+    }
+
+    // ------------------------------------------------------------------
+    // Public holidays and business days (proleptic Gregorian)
+    // ------------------------------------------------------------------
+
+    // Countries with a holiday rule set (i18n key: 'country_' + code)
+    var HOLIDAY_COUNTRIES = ['cz', 'sk', 'de', 'at', 'pl', 'fr', 'gb', 'us'];
+
+    // Holiday rules per country (i18n key: 'holiday_' + key). A rule is one of
+    //   {month, day}               fixed date
+    //   {month, weekday, nth}      nth weekday of the month (0 = Sunday, nth -1 = last)
+    //   {easter}                   offset in days from Western Easter Sunday
+    // optionally limited to the years from..to.
+    var HOLIDAY_RULES = {
+        cz: [
+            { key: 'new_year', month: 1, day: 1 },
+            { key: 'good_friday', easter: -2, from: 2016 },
+            { key: 'easter_monday', easter: 1 },
+            { key: 'labour_day', month: 5, day: 1 },
+            { key: 'liberation_day', month: 5, day: 8 },
+            { key: 'cyril_methodius', month: 7, day: 5 },
+            { key: 'jan_hus', month: 7, day: 6 },
+            { key: 'statehood_day', month: 9, day: 28 },
+            { key: 'independence_day_cz', month: 10, day: 28 },
+            { key: 'freedom_day', month: 11, day: 17 },
+            { key: 'christmas_eve', month: 12, day: 24 },
+            { key: 'christmas_day', month: 12, day: 25 },
+            { key: 'st_stephen', month: 12, day: 26 }
+        ],
+        sk: [
+            { key: 'republic_day_sk', month: 1, day: 1 },
+            { key: 'epiphany', month: 1, day: 6 },
+            { key: 'good_friday', easter: -2 },
+            { key: 'easter_monday', easter: 1 },
+            { key: 'labour_day', month: 5, day: 1 },
+            { key: 'liberation_day', month: 5, day: 8 },
+            { key: 'cyril_methodius', month: 7, day: 5 },
+            { key: 'national_uprising_sk', month: 8, day: 29 },
+            { key: 'constitution_day_sk', month: 9, day: 1, to: 2023 },
+            { key: 'our_lady_of_sorrows', month: 9, day: 15 },
+            { key: 'all_saints', month: 11, day: 1 },
+            { key: 'freedom_day', month: 11, day: 17 },
+            { key: 'christmas_eve', month: 12, day: 24 },
+            { key: 'christmas_day', month: 12, day: 25 },
+            { key: 'st_stephen', month: 12, day: 26 }
+        ],
+        de: [
+            { key: 'new_year', month: 1, day: 1 },
+            { key: 'good_friday', easter: -2 },
+            { key: 'easter_monday', easter: 1 },
+            { key: 'labour_day', month: 5, day: 1 },
+            { key: 'ascension', easter: 39 },
+            { key: 'whit_monday', easter: 50 },
+            { key: 'german_unity_day', month: 10, day: 3, from: 1990 },
+            { key: 'christmas_day', month: 12, day: 25 },
+            { key: 'st_stephen', month: 12, day: 26 }
+        ],
+        at: [
+            { key: 'new_year', month: 1, day: 1 },
+            { key: 'epiphany', month: 1, day: 6 },
+            { key: 'easter_monday', easter: 1 },
+            { key: 'labour_day', month: 5, day: 1 },
+            { key: 'ascension', easter: 39 },
+            { key: 'whit_monday', easter: 50 },
+            { key: 'corpus_christi', easter: 60 },
+            { key: 'assumption', month: 8, day: 15 },
+            { key: 'national_day_at', month: 10, day: 26 },
+            { key: 'all_saints', month: 11, day: 1 },
+            { key: 'immaculate_conception', month: 12, day: 8 },
+            { key: 'christmas_day', month: 12, day: 25 },
+            { key: 'st_stephen', month: 12, day: 26 }
+        ],
+        pl: [
+            { key: 'new_year', month: 1, day: 1 },
+            { key: 'epiphany', month: 1, day: 6, from: 2011 },
+            { key: 'easter_sunday', easter: 0 },
+            { key: 'easter_monday', easter: 1 },
+            { key: 'labour_day', month: 5, day: 1 },
+            { key: 'constitution_day_pl', month: 5, day: 3 },
+            { key: 'pentecost', easter: 49 },
+            { key: 'corpus_christi', easter: 60 },
+            { key: 'assumption', month: 8, day: 15 },
+            { key: 'all_saints', month: 11, day: 1 },
+            { key: 'independence_day_pl', month: 11, day: 11 },
+            { key: 'christmas_eve', month: 12, day: 24, from: 2025 },
+            { key: 'christmas_day', month: 12, day: 25 },
+            { key: 'st_stephen', month: 12, day: 26 }
+        ],
+        fr: [
+            { key: 'new_year', month: 1, day: 1 },
+            { key: 'easter_monday', easter: 1 },
+            { key: 'labour_day', month: 5, day: 1 },
+            { key: 'liberation_day', month: 5, day: 8 },
+            { key: 'ascension', easter: 39 },
+            { key: 'whit_monday', easter: 50 },
+            { key: 'bastille_day', month: 7, day: 14 },
+            { key: 'assumption', month: 8, day: 15 },
+            { key: 'all_saints', month: 11, day: 1 },
+            { key: 'armistice_day', month: 11, day: 11 },
+            { key: 'christmas_day', month: 12, day: 25 }
+        ],
+        gb: [
+            { key: 'new_year', month: 1, day: 1 },
+            { key: 'good_friday', easter: -2 },
+            { key: 'easter_monday', easter: 1 },
+            { key: 'early_may_bank_holiday', month: 5, weekday: 1, nth: 1 },
+            { key: 'spring_bank_holiday', month: 5, weekday: 1, nth: -1 },
+            { key: 'summer_bank_holiday', month: 8, weekday: 1, nth: -1 },
+            { key: 'christmas_day', month: 12, day: 25 },
+            { key: 'boxing_day', month: 12, day: 26 }
+        ],
+        us: [
+            { key: 'new_year', month: 1, day: 1 },
+            { key: 'martin_luther_king_day', month: 1, weekday: 1, nth: 3, from: 1986 },
+            { key: 'washingtons_birthday', month: 2, weekday: 1, nth: 3 },
+            { key: 'memorial_day', month: 5, weekday: 1, nth: -1 },
+            { key: 'juneteenth', month: 6, day: 19, from: 2021 },
+            { key: 'independence_day_us', month: 7, day: 4 },
+            { key: 'labor_day_us', month: 9, weekday: 1, nth: 1 },
+            { key: 'columbus_day', month: 10, weekday: 1, nth: 2 },
+            { key: 'veterans_day', month: 11, day: 11 },
+            { key: 'thanksgiving', month: 11, weekday: 4, nth: 4 },
+            { key: 'christmas_day', month: 12, day: 25 }
+        ]
+    };
+
+    // How a fixed-date holiday falling on Saturday or Sunday is made up:
+    // 'next' = the next weekday that is not a holiday itself (UK bank holidays),
+    // 'nearest' = Friday for Saturday, Monday for Sunday (US federal holidays)
+    var HOLIDAY_SUBSTITUTES = { gb: 'next', us: 'nearest' };
+
+    // Saturday and Sunday (weekday numbers, 0 = Sunday)
+    var DEFAULT_WEEKEND = [6, 0];
+
+    // Day of the nth weekday in a month; nth -1 means the last one
+    function getNthWeekdayOfMonth(year, month, weekday, nth) {
+        if (nth < 0) {
+            var lastDay = getDaysInMonth(month, year, 'gregorian');
+            var last = getWeekdayFromJDN(getJulianDayNumber(lastDay, month, year));
+            return lastDay - (last - weekday + 7) % 7;
+        }
+        var first = getWeekdayFromJDN(getJulianDayNumber(1, month, year));
+        return 1 + (weekday - first + 7) % 7 + (nth - 1) * 7;
+    }
+
+    function getHolidayRuleDate(rule, year) {
+        if (rule.easter !== undefined) return addDays(getEasterDate(year), rule.easter);
+        if (rule.nth !== undefined) {
+            return { day: getNthWeekdayOfMonth(year, rule.month, rule.weekday, rule.nth), month: rule.month, year: year };
+        }
+        return { day: rule.day, month: rule.month, year: year };
+    }
+
+    // Holidays by the rules alone, sorted by date, as [{jdn, key, fixed}]
+    function getRuleHolidays(year, country) {
+        var rules = HOLIDAY_RULES[country] || [];
+        var list = [];
+        rules.forEach(function(rule) {
+            if ((rule.from !== undefined && year < rule.from) || (rule.to !== undefined && year > rule.to)) return;
+            var date = getHolidayRuleDate(rule, year);
+            list.push({ jdn: getJulianDayNumber(date.day, date.month, date.year), key: rule.key, fixed: rule.day !== undefined });
+        });
+        return list.sort(function(a, b) { return a.jdn - b.jdn; });
+    }
+
+    // Public holidays of a country observed in the Gregorian year, sorted by date.
+    // A substitute day for a holiday on a weekend is listed separately with
+    // substitute: true (it may fall into a neighbouring year, e.g. a US New Year
+    // on Saturday is observed on 31 December).
+    // Returns [{day, month, year, key, substitute}]
+    function getPublicHolidays(year, country) {
+        var substitute = HOLIDAY_SUBSTITUTES[country];
+        var holidays = [];
+        var taken = {};
+        [year - 1, year, year + 1].forEach(function(y) {
+            getRuleHolidays(y, country).forEach(function(holiday) {
+                holidays.push({ jdn: holiday.jdn, key: holiday.key, substitute: false, fixed: holiday.fixed });
+                taken[holiday.jdn] = true;
+            });
+        });
+
+        if (substitute) {
+            holidays.slice().forEach(function(holiday) {
+                var weekday = getWeekdayFromJDN(holiday.jdn);
+                if (!holiday.fixed || (weekday !== 0 && weekday !== 6)) return;
+                var jdn;
+                if (substitute === 'nearest') {
+                    jdn = holiday.jdn + (weekday === 6 ? -1 : 1);
+                } else {
+                    jdn = holiday.jdn + 1;
+                    while (taken[jdn] || getWeekdayFromJDN(jdn) === 0 || getWeekdayFromJDN(jdn) === 6) jdn++;
+                }
+                taken[jdn] = true;
+                holidays.push({ jdn: jdn, key: holiday.key, substitute: true });
+            });
+        }
+
+        return holidays
+            .filter(function(holiday) { return getDateFromJulianDay(holiday.jdn).year === year; })
+            .sort(function(a, b) { return a.jdn - b.jdn || a.substitute - b.substitute; })
+            .map(function(holiday) {
+                var date = getDateFromJulianDay(holiday.jdn);
+                date.key = holiday.key;
+                date.substitute = holiday.substitute;
+                return date;
+            });
+    }
+
+    // Options shared by the business day functions:
+    //   country        holiday rule set (none when omitted)
+    //   weekend        weekday numbers of the weekend (default DEFAULT_WEEKEND)
+    //   closingDays    extra non-working dates [{day, month, year}]
+    // Returns a function telling for a JDN why it is not a business day:
+    // 'weekend', {key} of the holiday or closing day, or null for a business day.
+    function createBusinessDayTest(options) {
+        options = options || {};
+        var weekend = options.weekend || DEFAULT_WEEKEND;
+        var closed = {};
+        (options.closingDays || []).forEach(function(date) {
+            closed[getJulianDayNumber(date.day, date.month, date.year)] = { key: 'closing_day' };
+        });
+        var years = {};
+        return function(jdn) {
+            if (weekend.indexOf(getWeekdayFromJDN(jdn)) !== -1) return 'weekend';
+            if (options.country) {
+                var year = getDateFromJulianDay(jdn).year;
+                if (!years[year]) {
+                    years[year] = {};
+                    getPublicHolidays(year, options.country).forEach(function(holiday) {
+                        var holidayJdn = getJulianDayNumber(holiday.day, holiday.month, holiday.year);
+                        if (!years[year][holidayJdn]) years[year][holidayJdn] = holiday;
+                    });
+                }
+                if (years[year][jdn]) return years[year][jdn];
+            }
+            return closed[jdn] || null;
+        };
+    }
+
+    function isBusinessDay(date, options) {
+        return createBusinessDayTest(options)(getJulianDayNumber(date.day, date.month, date.year)) === null;
+    }
+
+    // Holiday or closing day entry for the result lists
+    function toClosedDay(jdn, reason) {
+        var date = getDateFromJulianDay(jdn);
+        date.key = reason.key;
+        date.substitute = !!reason.substitute;
+        return date;
+    }
+
+    // Moves the date by the given number of business days (backwards when
+    // negative); the start date itself is not counted. A week without any
+    // business day (everything is weekend) returns null.
+    // Returns {date: {day, month, year}, calendarDays, holidays: [{day, month, year, key, substitute}]}
+    // where holidays lists the skipped holidays and closing days.
+    function addBusinessDays(date, days, options) {
+        var test = createBusinessDayTest(options);
+        var weekend = (options && options.weekend) || DEFAULT_WEEKEND;
+        if (weekend.length >= 7 && days !== 0) return null;
+
+        var start = getJulianDayNumber(date.day, date.month, date.year);
+        var step = days < 0 ? -1 : 1;
+        var remaining = Math.abs(days);
+        var holidays = [];
+        var jdn = start;
+        while (remaining > 0) {
+            jdn += step;
+            var reason = test(jdn);
+            if (reason === null) {
+                remaining--;
+            } else if (reason !== 'weekend') {
+                holidays.push(toClosedDay(jdn, reason));
+            }
+        }
+        if (step < 0) holidays.reverse();
+
+        return {
+            date: getDateFromJulianDay(jdn),
+            calendarDays: jdn - start,
+            holidays: holidays
+        };
+    }
+
+    // Business days between two dates: the earlier date is not counted, the
+    // later one is, so addBusinessDays(from, count) lands on a date no later
+    // than the end date.
+    // Returns {businessDays, calendarDays, weekendDays, holidays: [{day, month, year, key, substitute}]}
+    // where holidays lists holidays and closing days falling on working weekdays.
+    function countBusinessDays(from, to, options) {
+        var test = createBusinessDayTest(options);
+        var start = getJulianDayNumber(from.day, from.month, from.year);
+        var end = getJulianDayNumber(to.day, to.month, to.year);
+        if (end < start) {
+            var swap = start;
+            start = end;
+            end = swap;
+        }
+
+        var result = { businessDays: 0, calendarDays: end - start, weekendDays: 0, holidays: [] };
+        for (var jdn = start + 1; jdn <= end; jdn++) {
+            var reason = test(jdn);
+            if (reason === null) {
+                result.businessDays++;
+            } else if (reason === 'weekend') {
+                result.weekendDays++;
+            } else {
+                result.holidays.push(toClosedDay(jdn, reason));
+            }
+        }
+        return result;
+    }
+
+    // ------------------------------------------------------------------
+    // Other calendars (conversion via Julian day number)
+    // ------------------------------------------------------------------
+
+    // Calendars supported by the converter (i18n key: 'calendar_name_' + code)
+    var CALENDARS = ['gregorian', 'julian', 'hebrew', 'islamic', 'persian',
+        'iso_week', 'mayan', 'french_republican'];
+
+    // Order of the numeric fields when a date is written in the calendar
+    var CALENDAR_FIELDS = {
+        gregorian: ['day', 'month', 'year'],
+        julian: ['day', 'month', 'year'],
+        hebrew: ['day', 'month', 'year'],
+        islamic: ['day', 'month', 'year'],
+        persian: ['day', 'month', 'year'],
+        iso_week: ['year', 'week', 'weekday'],
+        mayan: ['baktun', 'katun', 'tun', 'uinal', 'kin'],
+        french_republican: ['day', 'month', 'year']
+    };
+
+    var HEBREW_EPOCH = 347998;          // 1 Tishri AM 1 (7.10.3761 BC Julian)
+    var ISLAMIC_EPOCH = 1948440;        // 1 Muharram AH 1 (16.7.622 Julian, civil epoch)
+    var MAYAN_EPOCH = 584283;           // 13.0.0.0.0 (GMT correlation)
+    var FRENCH_REPUBLICAN_EPOCH = 2375840; // 1 Vendémiaire I (22.9.1792)
+    var PERSIAN_MAX_YEAR = 3177;        // range of the Borkowski algorithm
+
+    // Floor division and modulo for negative numbers
+    function floorMod(a, b) {
+        return a - b * Math.floor(a / b);
+    }
+
+    // Hebrew calendar (arithmetic, Calendrical Calculations).
+    // Months are numbered from Nisan (1) to Adar (12) and Adar II (13);
+    // the year begins with Tishri (7).
+    function isHebrewLeapYear(year) {
+        return floorMod(7 * year + 1, 19) < 7;
+    }
+
+    function hebrewElapsedDays(year) {
+        var monthsElapsed = Math.floor((235 * year - 234) / 19);
+        var partsElapsed = 12084 + 13753 * monthsElapsed;
+        var days = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+        return floorMod(3 * (days + 1), 7) < 3 ? days + 1 : days;
+    }
+
+    function hebrewNewYear(year) {
+        var ny0 = hebrewElapsedDays(year - 1);
+        var ny1 = hebrewElapsedDays(year);
+        var ny2 = hebrewElapsedDays(year + 1);
+        var correction = 0;
+        if (ny2 - ny1 === 356) {
+            correction = 2;
+        } else if (ny1 - ny0 === 382) {
+            correction = 1;
+        }
+        return HEBREW_EPOCH + ny1 + correction;
+    }
+
+    function getHebrewDaysInMonth(month, year) {
+        var yearLength = hebrewNewYear(year + 1) - hebrewNewYear(year);
+        if (month === 2 || month === 4 || month === 6 || month === 10 || month === 13) return 29;
+        if (month === 12 && !isHebrewLeapYear(year)) return 29;
+        if (month === 8 && yearLength % 10 !== 5) return 29; // Heshvan is long only in complete years
+        if (month === 9 && yearLength % 10 === 3) return 29; // Kislev is short in deficient years
+        return 30;
+    }
+
+    function hebrewToJulianDay(day, month, year) {
+        var lastMonth = isHebrewLeapYear(year) ? 13 : 12;
+        var jdn = hebrewNewYear(year) + day - 1;
+        var m;
+        if (month < 7) {
+            for (m = 7; m <= lastMonth; m++) jdn += getHebrewDaysInMonth(m, year);
+            for (m = 1; m < month; m++) jdn += getHebrewDaysInMonth(m, year);
+        } else {
+            for (m = 7; m < month; m++) jdn += getHebrewDaysInMonth(m, year);
+        }
+        return jdn;
+    }
+
+    function julianDayToHebrew(jdn) {
+        var year = Math.floor((jdn - HEBREW_EPOCH) / (35975351 / 98496)); // mean year length
+        while (hebrewNewYear(year + 1) <= jdn) year++;
+        while (hebrewNewYear(year) > jdn) year--;
+
+        var month = jdn < hebrewToJulianDay(1, 1, year) ? 7 : 1;
+        while (jdn > hebrewToJulianDay(getHebrewDaysInMonth(month, year), month, year)) month++;
+
+        return {
+            day: jdn - hebrewToJulianDay(1, month, year) + 1,
+            month: month,
+            year: year,
+            leapYear: isHebrewLeapYear(year)
+        };
+    }
+
+    // Tabular Islamic calendar (leap years 2, 5, 7, 10, 13, 16, 18, 21, 24, 26, 29 of a 30-year cycle)
+    function isIslamicLeapYear(year) {
+        return floorMod(14 + 11 * year, 30) < 11;
+    }
+
+    function islamicToJulianDay(day, month, year) {
+        return ISLAMIC_EPOCH - 1 + day + 29 * (month - 1) + Math.floor((6 * month - 1) / 11) +
+            (year - 1) * 354 + Math.floor((3 + 11 * year) / 30);
+    }
+
+    function julianDayToIslamic(jdn) {
+        var year = Math.floor((30 * (jdn - ISLAMIC_EPOCH) + 10646) / 10631);
+        var month = Math.floor((11 * (jdn - islamicToJulianDay(1, 1, year)) + 330) / 325);
+        return {
+            day: jdn - islamicToJulianDay(1, month, year) + 1,
+            month: month,
+            year: year,
+            leapYear: isIslamicLeapYear(year)
+        };
+    }
+
+    // Solar Hijri (Persian) calendar, Borkowski's algorithm as used in Iran.
+    // Valid for years 1-3177 AP.
+    var PERSIAN_BREAKS = [-61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210,
+        1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178];
+
+    // Returns {leap (years since last leap year, 0 = leap), gregorianYear, march (day of Nowruz in March)}
+    function persianYearInfo(year) {
+        var gregorianYear = year + 621;
+        var leapPersian = -14;
+        var previousBreak = PERSIAN_BREAKS[0];
+        var jump = 0;
+        var n, i;
+
+        for (i = 1; i < PERSIAN_BREAKS.length; i++) {
+            jump = PERSIAN_BREAKS[i] - previousBreak;
+            if (year < PERSIAN_BREAKS[i]) break;
+            leapPersian += Math.floor(jump / 33) * 8 + Math.floor((jump % 33) / 4);
+            previousBreak = PERSIAN_BREAKS[i];
+        }
+
+        n = year - previousBreak;
+        leapPersian += Math.floor(n / 33) * 8 + Math.floor(((n % 33) + 3) / 4);
+        if (jump % 33 === 4 && jump - n === 4) leapPersian++;
+
+        var leapGregorian = Math.floor(gregorianYear / 4) -
+            Math.floor((Math.floor(gregorianYear / 100) + 1) * 3 / 4) - 150;
+
+        if (jump - n < 6) n = n - jump + Math.floor((jump + 4) / 33) * 33;
+        var leap = (((n + 1) % 33) - 1) % 4;
+        if (leap === -1) leap = 4;
+
+        return {
+            leap: leap,
+            gregorianYear: gregorianYear,
+            march: 20 + leapPersian - leapGregorian
+        };
+    }
+
+    function isPersianLeapYear(year) {
+        return persianYearInfo(year).leap === 0;
+    }
+
+    function persianToJulianDay(day, month, year) {
+        var info = persianYearInfo(year);
+        return getJulianDayNumber(info.march, 3, info.gregorianYear) +
+            (month - 1) * 31 - Math.floor(month / 7) * (month - 7) + day - 1;
+    }
+
+    function julianDayToPersian(jdn) {
+        var gregorianYear = getDateFromJulianDay(jdn).year;
+        var year = gregorianYear - 621;
+        var info = persianYearInfo(year);
+        var k = jdn - getJulianDayNumber(info.march, 3, gregorianYear);
+        var month, day;
+
+        if (k >= 0 && k <= 185) {
+            month = 1 + Math.floor(k / 31);
+            day = (k % 31) + 1;
+        } else {
+            if (k >= 0) {
+                k -= 186;
+            } else {
+                year--;
+                k += 179;
+                if (info.leap === 1) k++;
+            }
+            month = 7 + Math.floor(k / 30);
+            day = (k % 30) + 1;
+        }
+
+        return {
+            day: day,
+            month: month,
+            year: year,
+            leapYear: isPersianLeapYear(year)
+        };
+    }
+
+    // ISO 8601 week date (weeks start on Monday, week 1 contains 4 January)
+    function isoWeekday(jdn) {
+        return floorMod(jdn, 7) + 1; // 1 = Monday ... 7 = Sunday
+    }
+
+    function isoWeekToJulianDay(year, week, weekday) {
+        var january4 = getJulianDayNumber(4, 1, year);
+        return january4 - isoWeekday(january4) + 1 + (week - 1) * 7 + weekday - 1;
+    }
+
+    function julianDayToIsoWeek(jdn) {
+        var weekday = isoWeekday(jdn);
+        var thursday = jdn - weekday + 4;
+        var year = getDateFromJulianDay(thursday).year;
+        return {
+            year: year,
+            week: Math.floor((thursday - getJulianDayNumber(1, 1, year)) / 7) + 1,
+            weekday: weekday
+        };
+    }
+
+    // Mayan Long Count with Tzolk'in (number 1-13, name 1-20) and Haab' (day 0-19, month 1-19)
+    function mayanToJulianDay(baktun, katun, tun, uinal, kin) {
+        return MAYAN_EPOCH + baktun * 144000 + katun * 7200 + tun * 360 + uinal * 20 + kin;
+    }
+
+    function julianDayToMayan(jdn) {
+        var days = jdn - MAYAN_EPOCH;
+        var haabDay = floorMod(days + 348, 365); // 13.0.0.0.0 = 4 Ajaw 8 Kumk'u
+        return {
+            baktun: Math.floor(days / 144000),
+            katun: Math.floor(floorMod(days, 144000) / 7200),
+            tun: Math.floor(floorMod(days, 7200) / 360),
+            uinal: Math.floor(floorMod(days, 360) / 20),
+            kin: floorMod(days, 20),
+            tzolkin: {
+                number: floorMod(days + 3, 13) + 1,
+                name: floorMod(days + 19, 20) + 1
+            },
+            haab: {
+                day: haabDay % 20,
+                month: Math.floor(haabDay / 20) + 1
+            }
+        };
+    }
+
+    // French Republican calendar: 12 months of 30 days and 5-6 complementary
+    // days (month 13). Leap years follow the historical years III, VII and XI
+    // and continue by the Gregorian rule applied to the following year.
+    function isFrenchRepublicanLeapYear(year) {
+        var next = year + 1;
+        return (next % 4 === 0 && next % 100 !== 0) || next % 400 === 0;
+    }
+
+    function frenchRepublicanToJulianDay(day, month, year) {
+        return FRENCH_REPUBLICAN_EPOCH + 365 * (year - 1) +
+            Math.floor(year / 4) - Math.floor(year / 100) + Math.floor(year / 400) +
+            30 * (month - 1) + day - 1;
+    }
+
+    function julianDayToFrenchRepublican(jdn) {
+        var year = Math.floor((jdn - FRENCH_REPUBLICAN_EPOCH) / 365.2425) + 1;
+        while (frenchRepublicanToJulianDay(1, 1, year + 1) <= jdn) year++;
+        while (frenchRepublicanToJulianDay(1, 1, year) > jdn) year--;
+        var dayOfYear = jdn - frenchRepublicanToJulianDay(1, 1, year);
+        return {
+            day: (dayOfYear % 30) + 1,
+            month: Math.floor(dayOfYear / 30) + 1,
+            year: year,
+            leapYear: isFrenchRepublicanLeapYear(year)
+        };
+    }
+
+    // Date in the given calendar for a Julian day number, or null outside
+    // the supported range (year 1 of the calendar onwards)
+    function julianDayToCalendar(calendar, jdn) {
+        var date;
+        switch (calendar) {
+            case 'gregorian':
+            case 'julian':
+                date = getDateFromJulianDay(jdn, calendar === 'julian');
+                date.leapYear = calendar === 'julian' ? date.year % 4 === 0 : isLeapYear(date.year, 'gregorian');
+                break;
+            case 'hebrew':
+                date = julianDayToHebrew(jdn);
+                break;
+            case 'islamic':
+                date = julianDayToIslamic(jdn);
+                break;
+            case 'persian':
+                if (jdn < persianToJulianDay(1, 1, 1) || jdn >= persianToJulianDay(1, 1, PERSIAN_MAX_YEAR + 1)) return null;
+                date = julianDayToPersian(jdn);
+                break;
+            case 'iso_week':
+                date = julianDayToIsoWeek(jdn);
+                break;
+            case 'mayan':
+                return jdn >= MAYAN_EPOCH ? julianDayToMayan(jdn) : null;
+            case 'french_republican':
+                date = julianDayToFrenchRepublican(jdn);
+                break;
+            default:
+                return null;
+        }
+        return date.year >= 1 ? date : null;
+    }
+
+    // Julian day number of a date given by its fields (see CALENDAR_FIELDS),
+    // or null when the date does not exist in the calendar
+    function calendarToJulianDay(calendar, date) {
+        var jdn;
+        switch (calendar) {
+            case 'gregorian':
+            case 'julian':
+                jdn = getJulianDayNumber(date.day, date.month, date.year, calendar === 'julian');
+                break;
+            case 'hebrew':
+                jdn = hebrewToJulianDay(date.day, date.month, date.year);
+                break;
+            case 'islamic':
+                jdn = islamicToJulianDay(date.day, date.month, date.year);
+                break;
+            case 'persian':
+                if (date.year < 1 || date.year > PERSIAN_MAX_YEAR) return null;
+                jdn = persianToJulianDay(date.day, date.month, date.year);
+                break;
+            case 'iso_week':
+                jdn = isoWeekToJulianDay(date.year, date.week, date.weekday);
+                break;
+            case 'mayan':
+                if (date.katun > 19 || date.tun > 19 || date.uinal > 17 || date.kin > 19) return null;
+                jdn = mayanToJulianDay(date.baktun, date.katun, date.tun, date.uinal, date.kin);
+                break;
+            case 'french_republican':
+                jdn = frenchRepublicanToJulianDay(date.day, date.month, date.year);
+                break;
+            default:
+                return null;
+        }
+
+        // Round trip rejects out-of-range fields (e.g. 30 Iyyar or week 53 of a 52-week year)
+        var check = julianDayToCalendar(calendar, jdn);
+        if (!check) return null;
+        var fields = CALENDAR_FIELDS[calendar];
+        for (var i = 0; i < fields.length; i++) {
+            if (check[fields[i]] !== date[fields[i]]) return null;
+        }
+        return jdn;
+    }
+
+    // ------------------------------------------------------------------
+    // Astronomical basics (Meeus, Astronomical Algorithms)
+    // ------------------------------------------------------------------
+
+    var DEG = Math.PI / 180;
+
+    // Radii and the astronomical unit in km
+    var EARTH_RADIUS_KM = 6378.14;
+    var MOON_RADIUS_KM = 1737.4;
+    var SUN_RADIUS_KM = 696000;
+    var AU_KM = 149597870.7;
+
+    function normalizeDegrees(angle) {
+        angle = angle % 360;
+        return angle < 0 ? angle + 360 : angle;
+    }
+
+    function julianDayFromMillis(utcMillis) {
+        return utcMillis / 86400000 + 2440587.5;
+    }
+
+    function millisFromJulianDay(jd) {
+        return Math.round((jd - 2440587.5) * 86400000);
+    }
+
+    // Difference TT - UT in seconds for a decimal year (Espenak & Meeus polynomials)
+    function getDeltaT(year) {
+        var t, u;
+        if (year < -500 || year >= 2150) {
+            u = (year - 1820) / 100;
+            return -20 + 32 * u * u;
+        }
+        if (year < 500) {
+            u = year / 100;
+            return 10583.6 + u * (-1014.41 + u * (33.78311 + u * (-5.952053 + u * (-0.1798452 + u * (0.022174192 + u * 0.0090316521)))));
+        }
+        if (year < 1600) {
+            u = (year - 1000) / 100;
+            return 1574.2 + u * (-556.01 + u * (71.23472 + u * (0.319781 + u * (-0.8503463 + u * (-0.005050998 + u * 0.0083572073)))));
+        }
+        if (year < 1700) {
+            t = year - 1600;
+            return 120 + t * (-0.9808 + t * (-0.01532 + t / 7129));
+        }
+        if (year < 1800) {
+            t = year - 1700;
+            return 8.83 + t * (0.1603 + t * (-0.0059285 + t * (0.00013336 - t / 1174000)));
+        }
+        if (year < 1860) {
+            t = year - 1800;
+            return 13.72 + t * (-0.332447 + t * (0.0068612 + t * (0.0041116 + t * (-0.00037436 +
+                t * (0.0000121272 + t * (-0.0000001699 + t * 0.000000000875))))));
+        }
+        if (year < 1900) {
+            t = year - 1860;
+            return 7.62 + t * (0.5737 + t * (-0.251754 + t * (0.01680668 + t * (-0.0004473624 + t / 233174))));
+        }
+        if (year < 1920) {
+            t = year - 1900;
+            return -2.79 + t * (1.494119 + t * (-0.0598939 + t * (0.0061966 - t * 0.000197)));
+        }
+        if (year < 1941) {
+            t = year - 1920;
+            return 21.20 + t * (0.84493 + t * (-0.076100 + t * 0.0020936));
+        }
+        if (year < 1961) {
+            t = year - 1950;
+            return 29.07 + t * (0.407 + t * (-1 / 233 + t / 2547));
+        }
+        if (year < 1986) {
+            t = year - 1975;
+            return 45.45 + t * (1.067 + t * (-1 / 260 - t / 718));
+        }
+        if (year < 2005) {
+            t = year - 2000;
+            return 63.86 + t * (0.3345 + t * (-0.060374 + t * (0.0017275 + t * (0.000651814 + t * 0.00002373599))));
+        }
+        t = year - 2000;
+        if (year < 2050) return 62.92 + t * (0.32217 + t * 0.005589);
+        u = (year - 1820) / 100;
+        return -20 + 32 * u * u - 0.5628 * (2150 - year);
+    }
+
+    // Julian Ephemeris Day (TT) for a UT instant
+    function getJulianEphemerisDay(utcMillis) {
+        var year = 1970 + utcMillis / 31556952000;
+        return julianDayFromMillis(utcMillis) + getDeltaT(year) / 86400;
+    }
+
+    // UT instant for a Julian Ephemeris Day
+    function millisFromJulianEphemerisDay(jde) {
+        var year = 2000 + (jde - 2451545) / 365.2425;
+        return millisFromJulianDay(jde - getDeltaT(year) / 86400);
+    }
+
+    // Nutation in longitude and obliquity of the ecliptic (degrees), low precision
+    function getNutation(T) {
+        var omega = (125.04452 - 1934.136261 * T) * DEG;
+        var L = (280.4665 + 36000.7698 * T) * DEG;
+        var Lm = (218.3165 + 481267.8813 * T) * DEG;
+        var epsilon0 = 23 + (26 + (21.448 - T * (46.8150 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+        var deltaPsi = (-17.20 * Math.sin(omega) - 1.32 * Math.sin(2 * L) - 0.23 * Math.sin(2 * Lm) + 0.21 * Math.sin(2 * omega)) / 3600;
+        var deltaEpsilon = (9.20 * Math.cos(omega) + 0.57 * Math.cos(2 * L) + 0.10 * Math.cos(2 * Lm) - 0.09 * Math.cos(2 * omega)) / 3600;
+        return { longitude: deltaPsi, obliquity: epsilon0 + deltaEpsilon };
+    }
+
+    // Ecliptic to equatorial coordinates (degrees)
+    function eclipticToEquatorial(longitude, latitude, obliquity) {
+        var lon = longitude * DEG;
+        var lat = latitude * DEG;
+        var eps = obliquity * DEG;
+        var ra = Math.atan2(Math.sin(lon) * Math.cos(eps) - Math.tan(lat) * Math.sin(eps), Math.cos(lon));
+        var dec = Math.asin(Math.sin(lat) * Math.cos(eps) + Math.cos(lat) * Math.sin(eps) * Math.sin(lon));
+        return { ra: normalizeDegrees(ra / DEG), dec: dec / DEG };
+    }
+
+    // Greenwich mean sidereal time in degrees for a Julian day (UT)
+    function getGreenwichSiderealAngle(jd) {
+        var T = (jd - 2451545) / 36525;
+        return normalizeDegrees(280.46061837 + 360.98564736629 * (jd - 2451545) + T * T * (0.000387933 - T / 38710000));
+    }
+
+    // Apparent geocentric position of the Sun (Meeus ch. 25, low accuracy).
+    // Returns {longitude (deg), distance (AU), ra, dec (deg)}
+    function getSunPosition(jde) {
+        var T = (jde - 2451545) / 36525;
+        var L0 = 280.46646 + T * (36000.76983 + T * 0.0003032);
+        var M = (357.52911 + T * (35999.05029 - T * 0.0001537)) * DEG;
+        var e = 0.016708634 - T * (0.000042037 + T * 0.0000001267);
+        var C = (1.914602 - T * (0.004817 + T * 0.000014)) * Math.sin(M) +
+            (0.019993 - T * 0.000101) * Math.sin(2 * M) + 0.000289 * Math.sin(3 * M);
+        var nu = M + C * DEG;
+        var distance = 1.000001018 * (1 - e * e) / (1 + e * Math.cos(nu));
+        var omega = (125.04 - 1934.136 * T) * DEG;
+        var longitude = normalizeDegrees(L0 + C - 0.00569 - 0.00478 * Math.sin(omega));
+        var obliquity = getNutation(T).obliquity;
+        var equatorial = eclipticToEquatorial(longitude, 0, obliquity);
+        return { longitude: longitude, distance: distance, ra: equatorial.ra, dec: equatorial.dec };
+    }
+
+    // Equinoxes and solstices in calendar order (i18n key: 'season_' + name)
+    var SEASONS = ['march_equinox', 'june_solstice', 'september_equinox', 'december_solstice'];
+
+    // Mean instants as JDE polynomials in Y (Meeus tables 27.A for years
+    // -1000..1000 with Y = year / 1000 and 27.B for 1000..3000 with
+    // Y = (year - 2000) / 1000), one row per SEASONS entry
+    var SEASON_MEAN_TERMS = {
+        early: [
+            [1721139.29189, 365242.13740, 0.06134, 0.00111, -0.00071],
+            [1721233.25401, 365241.72562, -0.05323, 0.00907, 0.00025],
+            [1721325.70455, 365242.49558, -0.11677, -0.00297, 0.00074],
+            [1721414.39987, 365242.88257, -0.00769, -0.00933, -0.00006]
+        ],
+        modern: [
+            [2451623.80984, 365242.37404, 0.05169, -0.00411, -0.00057],
+            [2451716.56767, 365241.62603, 0.00325, 0.00888, -0.00030],
+            [2451810.21715, 365242.01767, -0.11575, 0.00337, 0.00078],
+            [2451900.05952, 365242.74049, -0.06223, -0.00823, 0.00032]
+        ]
+    };
+
+    // Periodic terms [A, B (deg), C (deg per century)] (Meeus table 27.C)
+    var SEASON_PERIODIC_TERMS = [
+        [485, 324.96, 1934.136], [203, 337.23, 32964.467], [199, 342.08, 20.186],
+        [182, 27.85, 445267.112], [156, 73.14, 45036.886], [136, 171.52, 22518.443],
+        [77, 222.54, 65928.934], [74, 296.72, 3034.906], [70, 243.58, 9037.513],
+        [58, 119.81, 33718.147], [52, 297.17, 150.678], [50, 21.02, 2281.226],
+        [45, 247.54, 29929.562], [44, 325.15, 31555.956], [29, 60.93, 4443.417],
+        [18, 155.12, 67555.328], [17, 288.79, 4562.452], [16, 198.04, 62894.029],
+        [14, 199.76, 31436.921], [12, 95.39, 14577.848], [12, 287.11, 31931.756],
+        [12, 320.81, 34777.259], [9, 227.73, 1222.114], [8, 15.45, 16859.074]
+    ];
+
+    // JDE of an equinox or solstice (index into SEASONS) in the Gregorian year,
+    // within about a minute for -1000..3000
+    function getSeasonJde(year, index) {
+        var modern = year >= 1000;
+        var Y = modern ? (year - 2000) / 1000 : year / 1000;
+        var terms = SEASON_MEAN_TERMS[modern ? 'modern' : 'early'][index];
+        var jde0 = terms[0] + Y * (terms[1] + Y * (terms[2] + Y * (terms[3] + Y * terms[4])));
+
+        var T = (jde0 - 2451545) / 36525;
+        var W = (35999.373 * T - 2.47) * DEG;
+        var lambda = 1 + 0.0334 * Math.cos(W) + 0.0007 * Math.cos(2 * W);
+        var S = 0;
+        SEASON_PERIODIC_TERMS.forEach(function(term) {
+            S += term[0] * Math.cos((term[1] + term[2] * T) * DEG);
+        });
+        return jde0 + 0.00001 * S / lambda;
+    }
+
+    // Equinoxes and solstices of the Gregorian year.
+    // Returns [{season, utcMillis}] in SEASONS order
+    function getSeasons(year) {
+        return SEASONS.map(function(season, index) {
+            return { season: season, utcMillis: millisFromJulianEphemerisDay(getSeasonJde(year, index)) };
+        });
+    }
+
+    // Periodic terms of the Moon's longitude and distance (Meeus table 47.A):
+    // multiples of D, M, M', F; longitude in 1e-6 degree, distance in 1e-3 km
+    var MOON_LONGITUDE_TERMS = [
+        [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111],
+        [2, 0, 0, 0, 658314, -2955968], [0, 0, 2, 0, 213618, -569925],
+        [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+        [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138],
+        [2, 0, 1, 0, 53322, -170733], [2, -1, 0, 0, 45758, -204586],
+        [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+        [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321],
+        [0, 0, 1, 2, -12528, 0], [0, 0, 1, -2, 10980, 79661],
+        [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+        [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208],
+        [2, 1, 0, 0, -6766, 30824], [1, 0, -1, 0, -5163, -8379],
+        [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+        [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650],
+        [2, 0, -3, 0, 3665, 14403], [0, 1, -2, 0, -2689, -7003],
+        [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+        [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884],
+        [0, 1, 2, 0, -2120, 5751], [0, 2, 0, 0, -2069, 0],
+        [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+        [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958],
+        [0, 0, 2, 2, -1110, 0], [3, 0, -1, 0, -892, 3258],
+        [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897],
+        [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354],
+        [2, 1, -2, 0, 691, 0], [2, -1, 0, -2, 596, 0],
+        [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+        [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739],
+        [2, 1, 0, -2, -399, 0], [0, 0, 2, -2, -381, -4421],
+        [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0],
+        [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0],
+        [0, 2, 1, 0, -323, 1165], [1, 1, -1, 0, 299, 0],
+        [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+    ];
+
+    // Periodic terms of the Moon's latitude (Meeus table 47.B) in 1e-6 degree
+    var MOON_LATITUDE_TERMS = [
+        [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693],
+        [2, 0, 0, -1, 173237], [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271],
+        [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198], [2, 0, 1, -1, 9266],
+        [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+        [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463],
+        [2, -1, 0, 1, 2211], [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870],
+        [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794], [0, 0, 0, 3, -1749],
+        [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+        [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335],
+        [0, 0, 3, 1, 1107], [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833],
+        [0, 0, 1, -3, 777], [4, 0, -2, 1, 671], [2, 0, 0, -3, 607],
+        [2, 0, 2, -1, 596], [2, -1, 1, -1, 491], [2, 0, -2, 1, -451],
+        [0, 0, 3, -1, 439], [2, 0, 2, 1, 422], [2, 0, -3, -1, 421],
+        [2, 1, -1, 1, -366], [2, 1, 0, 1, -351], [4, 0, 0, 1, 331],
+        [2, -1, 1, 1, 315], [2, -2, 0, -1, 302], [0, 0, 1, 3, -283],
+        [2, 1, 1, -1, -229], [1, 1, 0, -1, 223], [1, 1, 0, 1, 223],
+        [0, 1, -2, -1, -220], [2, 1, -1, -1, -220], [1, 0, 1, 1, -185],
+        [2, -1, -2, -1, 181], [0, 1, 2, 1, -177], [4, 0, -2, -1, 176],
+        [4, -1, -1, -1, 166], [1, 0, 1, -1, -164], [4, 0, 1, -1, 132],
+        [1, 0, -1, -1, -119], [4, -1, 0, -1, 115], [2, -2, 0, 1, 107]
+    ];
+
+    // Apparent geocentric position of the Moon (Meeus ch. 47).
+    // Returns {longitude, latitude (deg), distance (km), parallax (deg), ra, dec (deg)}
+    function getMoonPosition(jde) {
+        var T = (jde - 2451545) / 36525;
+        var Lp = 218.3164477 + T * (481267.88123421 + T * (-0.0015786 + T * (1 / 538841 - T / 65194000)));
+        var D = (297.8501921 + T * (445267.1114034 + T * (-0.0018819 + T * (1 / 545868 - T / 113065000)))) * DEG;
+        var M = (357.5291092 + T * (35999.0502909 + T * (-0.0001536 + T / 24490000))) * DEG;
+        var Mp = (134.9633964 + T * (477198.8675055 + T * (0.0087414 + T * (1 / 69699 - T / 14712000)))) * DEG;
+        var F = (93.2720950 + T * (483202.0175233 + T * (-0.0036539 + T * (-1 / 3526000 + T / 863310000)))) * DEG;
+        var A1 = (119.75 + 131.849 * T) * DEG;
+        var A2 = (53.09 + 479264.290 * T) * DEG;
+        var A3 = (313.45 + 481266.484 * T) * DEG;
+        var E = 1 - T * (0.002516 + T * 0.0000074);
+        var LpRad = Lp * DEG;
+
+        var sumL = 0;
+        var sumR = 0;
+        var sumB = 0;
+        MOON_LONGITUDE_TERMS.forEach(function(term) {
+            var arg = term[0] * D + term[1] * M + term[2] * Mp + term[3] * F;
+            var factor = Math.pow(E, Math.abs(term[1]));
+            sumL += term[4] * factor * Math.sin(arg);
+            sumR += term[5] * factor * Math.cos(arg);
+        });
+        MOON_LATITUDE_TERMS.forEach(function(term) {
+            var arg = term[0] * D + term[1] * M + term[2] * Mp + term[3] * F;
+            sumB += term[4] * Math.pow(E, Math.abs(term[1])) * Math.sin(arg);
+        });
+        sumL += 3958 * Math.sin(A1) + 1962 * Math.sin(LpRad - F) + 318 * Math.sin(A2);
+        sumB += -2235 * Math.sin(LpRad) + 382 * Math.sin(A3) + 175 * Math.sin(A1 - F) +
+            175 * Math.sin(A1 + F) + 127 * Math.sin(LpRad - Mp) - 115 * Math.sin(LpRad + Mp);
+
+        var nutation = getNutation(T);
+        var longitude = normalizeDegrees(Lp + sumL / 1000000 + nutation.longitude);
+        var latitude = sumB / 1000000;
+        var distance = 385000.56 + sumR / 1000;
+        var equatorial = eclipticToEquatorial(longitude, latitude, nutation.obliquity);
+        return {
+            longitude: longitude,
+            latitude: latitude,
+            distance: distance,
+            parallax: Math.asin(6378.14 / distance) / DEG,
+            ra: equatorial.ra,
+            dec: equatorial.dec
+        };
+    }
+
+    // Altitude above the horizon (degrees) of a body at RA/Dec for an observer
+    // (longitude east positive) at a Julian day (UT)
+    function getAltitude(ra, dec, latitude, longitude, jd) {
+        var hourAngle = (getGreenwichSiderealAngle(jd) + longitude - ra) * DEG;
+        var lat = latitude * DEG;
+        var decRad = dec * DEG;
+        return Math.asin(Math.sin(lat) * Math.sin(decRad) + Math.cos(lat) * Math.cos(decRad) * Math.cos(hourAngle)) / DEG;
+    }
+
+    // Instants (UT millis) in start..end where altitudeAt(ms) crosses zero,
+    // sampled every step and refined by bisection.
+    // Returns [{utcMillis, rising}]
+    function findAltitudeCrossings(altitudeAt, start, end, step) {
+        var crossings = [];
+        var previous = altitudeAt(start);
+        for (var t = start + step; t <= end + 1; t += step) {
+            var current = altitudeAt(t);
+            if ((previous < 0) !== (current < 0)) {
+                var low = t - step;
+                var high = t;
+                var lowValue = previous;
+                for (var i = 0; i < 14; i++) {
+                    var middle = (low + high) / 2;
+                    var value = altitudeAt(middle);
+                    if ((value < 0) === (lowValue < 0)) {
+                        low = middle;
+                        lowValue = value;
+                    } else {
+                        high = middle;
+                    }
+                }
+                crossings.push({ utcMillis: Math.round((low + high) / 2), rising: previous < 0 });
+            }
+            previous = current;
+        }
+        return crossings;
+    }
+
+    // ------------------------------------------------------------------
+    // Moon (Meeus ch. 47-49)
+    // ------------------------------------------------------------------
+
+    // Principal phases in the order of the lunation (fraction of k = index / 4)
+    var MOON_PRINCIPAL_PHASES = ['new', 'first_quarter', 'full', 'last_quarter'];
+
+    // Periodic terms of the phase instants in days (Meeus ch. 49) as
+    // [coefficient, power of E, multiples of M, M', F, Omega]
+    var NEW_MOON_TERMS = [
+        [-0.40720, 0, 0, 1, 0, 0], [0.17241, 1, 1, 0, 0, 0], [0.01608, 0, 0, 2, 0, 0],
+        [0.01039, 0, 0, 0, 2, 0], [0.00739, 1, -1, 1, 0, 0], [-0.00514, 1, 1, 1, 0, 0],
+        [0.00208, 2, 2, 0, 0, 0], [-0.00111, 0, 0, 1, -2, 0], [-0.00057, 0, 0, 1, 2, 0],
+        [0.00056, 1, 1, 2, 0, 0], [-0.00042, 0, 0, 3, 0, 0], [0.00042, 1, 1, 0, 2, 0],
+        [0.00038, 1, 1, 0, -2, 0], [-0.00024, 1, -1, 2, 0, 0], [-0.00017, 0, 0, 0, 0, 1],
+        [-0.00007, 0, 2, 1, 0, 0], [0.00004, 0, 0, 2, -2, 0], [0.00004, 0, 3, 0, 0, 0],
+        [0.00003, 0, 1, 1, -2, 0], [0.00003, 0, 0, 2, 2, 0], [-0.00003, 0, 1, 1, 2, 0],
+        [0.00003, 0, -1, 1, 2, 0], [-0.00002, 0, -1, 1, -2, 0], [-0.00002, 0, 1, 3, 0, 0],
+        [0.00002, 0, 0, 4, 0, 0]
+    ];
+
+    var FULL_MOON_TERMS = [
+        [-0.40614, 0, 0, 1, 0, 0], [0.17302, 1, 1, 0, 0, 0], [0.01614, 0, 0, 2, 0, 0],
+        [0.01043, 0, 0, 0, 2, 0], [0.00734, 1, -1, 1, 0, 0], [-0.00515, 1, 1, 1, 0, 0],
+        [0.00209, 2, 2, 0, 0, 0], [-0.00111, 0, 0, 1, -2, 0], [-0.00057, 0, 0, 1, 2, 0],
+        [0.00056, 1, 1, 2, 0, 0], [-0.00042, 0, 0, 3, 0, 0], [0.00042, 1, 1, 0, 2, 0],
+        [0.00038, 1, 1, 0, -2, 0], [-0.00024, 1, -1, 2, 0, 0], [-0.00017, 0, 0, 0, 0, 1],
+        [-0.00007, 0, 2, 1, 0, 0], [0.00004, 0, 0, 2, -2, 0], [0.00004, 0, 3, 0, 0, 0],
+        [0.00003, 0, 1, 1, -2, 0], [0.00003, 0, 0, 2, 2, 0], [-0.00003, 0, 1, 1, 2, 0],
+        [0.00003, 0, -1, 1, 2, 0], [-0.00002, 0, -1, 1, -2, 0], [-0.00002, 0, 1, 3, 0, 0],
+        [0.00002, 0, 0, 4, 0, 0]
+    ];
+
+    var QUARTER_MOON_TERMS = [
+        [-0.62801, 0, 0, 1, 0, 0], [0.17172, 1, 1, 0, 0, 0], [-0.01183, 1, 1, 1, 0, 0],
+        [0.00862, 0, 0, 2, 0, 0], [0.00804, 0, 0, 0, 2, 0], [0.00454, 1, -1, 1, 0, 0],
+        [0.00204, 2, 2, 0, 0, 0], [-0.00180, 0, 0, 1, -2, 0], [-0.00070, 0, 0, 1, 2, 0],
+        [-0.00040, 0, 0, 3, 0, 0], [-0.00034, 1, -1, 2, 0, 0], [0.00032, 1, 1, 0, 2, 0],
+        [0.00032, 1, 1, 0, -2, 0], [-0.00028, 2, 2, 1, 0, 0], [0.00027, 1, 1, 2, 0, 0],
+        [-0.00017, 0, 0, 0, 0, 1], [-0.00005, 0, -1, 1, -2, 0], [0.00004, 0, 0, 2, 2, 0],
+        [-0.00004, 0, 1, 1, 2, 0], [0.00004, 0, -2, 1, 0, 0], [0.00003, 0, 1, 1, -2, 0],
+        [0.00003, 0, 3, 0, 0, 0], [0.00002, 0, 0, 2, -2, 0], [0.00002, 0, -1, 1, 2, 0],
+        [-0.00002, 0, 1, 3, 0, 0]
+    ];
+
+    // Planetary arguments [A0, A1 per lunation] and coefficients of the
+    // additional corrections common to all phases
+    var MOON_PHASE_PLANETARY_TERMS = [
+        [299.77, 0.107408, 0.000325], [251.88, 0.016321, 0.000165], [251.83, 26.651886, 0.000164],
+        [349.42, 36.412478, 0.000126], [84.66, 18.206239, 0.000110], [141.74, 53.303771, 0.000062],
+        [207.14, 2.453732, 0.000060], [154.84, 7.306860, 0.000056], [34.52, 27.261239, 0.000047],
+        [207.19, 0.121824, 0.000042], [291.34, 1.844379, 0.000040], [161.72, 24.198154, 0.000037],
+        [239.56, 25.513099, 0.000035], [331.55, 3.592518, 0.000023]
+    ];
+
+    // Julian Ephemeris Day of a principal phase: k is the lunation number
+    // counted from the new moon of 6.1.2000, its fraction .25/.5/.75 selects
+    // first quarter, full moon and last quarter
+    function getMoonPhaseJde(k) {
+        var T = k / 1236.85;
+        var jde = 2451550.09766 + 29.530588861 * k + T * T * (0.00015437 + T * (-0.000000150 + T * 0.00000000073));
+        var E = 1 - T * (0.002516 + T * 0.0000074);
+        var M = (2.5534 + 29.10535670 * k - T * T * (0.0000014 + T * 0.00000011)) * DEG;
+        var Mp = (201.5643 + 385.81693528 * k + T * T * (0.0107582 + T * (0.00001238 - T * 0.000000058))) * DEG;
+        var F = (160.7108 + 390.67050284 * k + T * T * (-0.0016118 + T * (-0.00000227 + T * 0.000000011))) * DEG;
+        var omega = (124.7746 - 1.56375588 * k + T * T * (0.0020672 + T * 0.00000215)) * DEG;
+
+        var fraction = Math.round((k - Math.floor(k)) * 4);
+        var terms = fraction === 0 ? NEW_MOON_TERMS : fraction === 2 ? FULL_MOON_TERMS : QUARTER_MOON_TERMS;
+        terms.forEach(function(term) {
+            jde += term[0] * Math.pow(E, term[1]) * Math.sin(term[2] * M + term[3] * Mp + term[4] * F + term[5] * omega);
+        });
+
+        if (fraction === 1 || fraction === 3) {
+            var W = 0.00306 - 0.00038 * E * Math.cos(M) + 0.00026 * Math.cos(Mp) - 0.00002 * Math.cos(Mp - M) +
+                0.00002 * Math.cos(Mp + M) + 0.00002 * Math.cos(2 * F);
+            jde += fraction === 1 ? W : -W;
+        }
+
+        MOON_PHASE_PLANETARY_TERMS.forEach(function(term, index) {
+            var argument = term[0] + term[1] * k - (index === 0 ? 0.009173 * T * T : 0);
+            jde += term[2] * Math.sin(argument * DEG);
+        });
+        return jde;
+    }
+
+    // Principal phases with instants in start..end (UT millis), sorted.
+    // Returns [{phase, utcMillis}]
+    function getMoonPhasesBetween(startMillis, endMillis) {
+        var phases = [];
+        var k = Math.floor((julianDayFromMillis(startMillis) - 2451550.09766) / SYNODIC_MONTH) - 1;
+        for (var quarter = k * 4; ; quarter++) {
+            var utcMillis = millisFromJulianEphemerisDay(getMoonPhaseJde(quarter / 4));
+            if (utcMillis > endMillis) break;
+            if (utcMillis >= startMillis) {
+                phases.push({ phase: MOON_PRINCIPAL_PHASES[((quarter % 4) + 4) % 4], utcMillis: utcMillis });
+            }
+        }
+        return phases;
+    }
+
+    // Last new moon at or before the instant (UT millis)
+    function getPreviousNewMoon(utcMillis) {
+        var k = Math.floor((julianDayFromMillis(utcMillis) - 2451550.09766) / SYNODIC_MONTH) + 1;
+        var newMoon = millisFromJulianEphemerisDay(getMoonPhaseJde(k));
+        while (newMoon > utcMillis) {
+            k--;
+            newMoon = millisFromJulianEphemerisDay(getMoonPhaseJde(k));
+        }
+        return newMoon;
+    }
+
+    // Illuminated fraction of the disc (Meeus ch. 48) and elongation from the
+    // Sun counted eastwards (0-360°, below 180° while waxing)
+    function getMoonIllumination(jde) {
+        var moon = getMoonPosition(jde);
+        var sun = getSunPosition(jde);
+        var elongation = normalizeDegrees(moon.longitude - sun.longitude);
+        var sunDistance = sun.distance * AU_KM;
+        var psi = Math.acos(Math.cos(moon.latitude * DEG) * Math.cos(elongation * DEG));
+        var phaseAngle = Math.atan2(sunDistance * Math.sin(psi), moon.distance - sunDistance * Math.cos(psi));
+        return {
+            fraction: (1 + Math.cos(phaseAngle)) / 2,
+            elongation: elongation,
+            distance: moon.distance
+        };
+    }
+
+    // Moon age in days (time since the last new moon) at noon UT of the date
+    function getMoonAge(day, month, year) {
+        var noon = toUtcMillis(day, month, year, 12, 0);
+        return (noon - getPreviousNewMoon(noon)) / 86400000;
+    }
+
+    // Phase code for the elongation outside the days of the principal phases
+    function getIntermediatePhase(elongation) {
+        if (elongation < 90) return 'waxing_crescent';
+        if (elongation < 180) return 'waxing_gibbous';
+        if (elongation < 270) return 'waning_gibbous';
+        return 'waning_crescent';
+    }
+
+    // Moon at a local date and time in the zone (UT without timeZone).
+    // phase is the principal phase when its instant falls on the local date,
+    // otherwise the intermediate phase by elongation. lunation lists the
+    // principal phases from the last new moon up to the next one.
+    // Returns {age (days), phase (code), illumination (percent), elongation (deg),
+    //          distance (km), utcMillis, lunation: [{phase, utcMillis}], zone?, abbreviation?, offset?}
+    function getMoonInfo(day, month, year, hour, minute, timeZone, locale) {
+        if (hour === undefined) hour = 12;
+        var zone = timeZone ? getZonedTime(timeZone, day, month, year, hour, minute || 0, locale) : null;
+        var utcMillis = zone ? zone.utcMillis : toUtcMillis(day, month, year, hour, minute || 0);
+        var dayStart = getLocalMidnight(day, month, year, timeZone);
+        var next = getDateFromJulianDay(getJulianDayNumber(day, month, year) + 1);
+        var dayEnd = getLocalMidnight(next.day, next.month, next.year, timeZone);
+
+        var illumination = getMoonIllumination(getJulianEphemerisDay(utcMillis));
+        var newMoon = getPreviousNewMoon(utcMillis);
+        var lunation = getMoonPhasesBetween(newMoon, newMoon + 31 * 86400000).slice(0, 5);
+
+        var phase = getIntermediatePhase(illumination.elongation);
+        getMoonPhasesBetween(dayStart, dayEnd - 1).forEach(function(event) {
+            phase = event.phase;
+        });
+
+        return {
+            age: (utcMillis - newMoon) / 86400000,
+            phase: phase,
+            illumination: illumination.fraction * 100,
+            elongation: illumination.elongation,
+            distance: illumination.distance,
+            utcMillis: utcMillis,
+            lunation: lunation,
+            zone: zone ? zone.zone : undefined,
+            abbreviation: zone ? zone.abbreviation : undefined,
+            offset: zone ? zone.offset : undefined
+        };
+    }
+
+    // Moonrise and moonset on a local date for an observer (longitude east
+    // positive), with the Moon's upper limb on the horizon including refraction
+    // and parallax. Times are decimal local hours in the zone (UT without
+    // timeZone), null when the event does not happen that day.
+    // Returns {moonrise, moonset, alwaysUp, alwaysDown, zone?, abbreviation?, timezone?}
+    function getMoonriseMoonset(day, month, year, latitude, longitude, timeZone, locale) {
+        var start = getLocalMidnight(day, month, year, timeZone);
+        var next = getDateFromJulianDay(getJulianDayNumber(day, month, year) + 1);
+        var end = getLocalMidnight(next.day, next.month, next.year, timeZone);
+
+        var altitudeAt = function(utcMillis) {
+            var moon = getMoonPosition(getJulianEphemerisDay(utcMillis));
+            var standardAltitude = 0.7275 * moon.parallax - 0.5667;
+            return getAltitude(moon.ra, moon.dec, latitude, longitude, julianDayFromMillis(utcMillis)) - standardAltitude;
+        };
+        var crossings = findAltitudeCrossings(altitudeAt, start, end, (end - start) / 24);
+
+        var result = { moonrise: null, moonset: null, alwaysUp: false, alwaysDown: false };
+        var toLocalHours = function(utcMillis) {
+            var offset = timeZone ? getTimeZoneOffset(timeZone, utcMillis) : 0;
+            return normalizeHours((utcMillis - toUtcMillis(day, month, year, 0, 0)) / 3600000 + offset / 60);
+        };
+        crossings.forEach(function(crossing) {
+            if (crossing.rising && result.moonrise === null) result.moonrise = toLocalHours(crossing.utcMillis);
+            if (!crossing.rising && result.moonset === null) result.moonset = toLocalHours(crossing.utcMillis);
+        });
+        if (!crossings.length) {
+            if (altitudeAt(start) > 0) {
+                result.alwaysUp = true;
+            } else {
+                result.alwaysDown = true;
+            }
+        }
+        if (timeZone) {
+            var noonZone = describeTimeZone(timeZone, (start + end) / 2, locale);
+            result.zone = timeZone;
+            result.abbreviation = noonZone.abbreviation;
+            result.timezone = noonZone.offset;
+        }
+        return result;
+    }
+
+    // ------------------------------------------------------------------
+    // Time zones (IANA database via Intl)
+    // ------------------------------------------------------------------
+
+    // UTC milliseconds of a civil date and time (also for years below 100)
+    function toUtcMillis(day, month, year, hour, minute) {
+        var date = new Date(0);
+        date.setUTCFullYear(year, month - 1, day);
+        date.setUTCHours(hour || 0, minute || 0, 0, 0);
+        return date.getTime();
+    }
+
+    var zoneFormatters = {};
+
+    function getZoneFormatter(timeZone) {
+        if (!zoneFormatters[timeZone]) {
+            zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone,
+                hourCycle: 'h23',
+                era: 'short',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        }
+        return zoneFormatters[timeZone];
+    }
+
+    function isValidTimeZone(timeZone) {
+        try {
+            getZoneFormatter(timeZone);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // IANA zone of the device, 'UTC' when Intl does not know it
+    function getDeviceTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (e) {
+            return 'UTC';
+        }
+    }
+
+    // Offset of the zone from UTC in minutes at the given instant.
+    // Intl reports years before AD 1 as positive BC years, hence the era.
+    function getTimeZoneOffset(timeZone, utcMillis) {
+        var fields = {};
+        var bc = false;
+        getZoneFormatter(timeZone).formatToParts(new Date(utcMillis)).forEach(function(part) {
+            if (part.type === 'era') {
+                bc = /^B/i.test(part.value);
+            } else {
+                fields[part.type] = parseInt(part.value, 10);
+            }
+        });
+        var year = bc ? 1 - fields.year : fields.year;
+        var wallClock = toUtcMillis(fields.day, fields.month, year, fields.hour % 24, fields.minute) +
+            fields.second * 1000;
+        return Math.round((wallClock - Math.floor(utcMillis / 1000) * 1000) / 60000);
+    }
+
+    // Short zone name (e.g. 'CEST', 'MDT'); falls back to 'GMT+5:30' style names
+    function getTimeZoneAbbreviation(timeZone, utcMillis, locale) {
+        var locales = [locale, 'en-US', 'en-GB'];
+        var fallback = '';
+        for (var i = 0; i < locales.length; i++) {
+            if (!locales[i]) continue;
+            var name = '';
+            try {
+                new Intl.DateTimeFormat(locales[i], { timeZone: timeZone, timeZoneName: 'short' })
+                    .formatToParts(new Date(utcMillis)).forEach(function(part) {
+                        if (part.type === 'timeZoneName') name = part.value;
+                    });
+            } catch (e) {
+                continue;
+            }
+            if (!/^(GMT|UTC)[+\-−]/.test(name)) return name;
+            if (!fallback) fallback = name;
+        }
+        return fallback;
+    }
+
+    // Zone state at an instant.
+    // Returns {zone, offset (h), standardOffset (h), dst, abbreviation, utcMillis}
+    function describeTimeZone(timeZone, utcMillis, locale) {
+        var offset = getTimeZoneOffset(timeZone, utcMillis);
+        var year = new Date(utcMillis).getUTCFullYear();
+        var standard = Math.min(
+            getTimeZoneOffset(timeZone, toUtcMillis(1, 1, year, 12, 0)),
+            getTimeZoneOffset(timeZone, toUtcMillis(1, 7, year, 12, 0))
+        );
+        return {
+            zone: timeZone,
+            offset: offset / 60,
+            standardOffset: standard / 60,
+            dst: offset > standard,
+            abbreviation: getTimeZoneAbbreviation(timeZone, utcMillis, locale),
+            utcMillis: utcMillis
+        };
+    }
+
+    // Zone state for a local (wall clock) date and time in the zone.
+    // Times skipped by a DST change are shifted forward by the gap.
+    function getZonedTime(timeZone, day, month, year, hour, minute, locale) {
+        var wallClock = toUtcMillis(day, month, year, hour, minute);
+        var offset = getTimeZoneOffset(timeZone, wallClock);
+        var utcMillis = wallClock - offset * 60000;
+        var actualOffset = getTimeZoneOffset(timeZone, utcMillis);
+        if (actualOffset !== offset) {
+            utcMillis = wallClock - actualOffset * 60000;
+        }
+        return describeTimeZone(timeZone, utcMillis, locale);
+    }
+
+    // UT instant of local midnight starting the date in the zone (UTC without timeZone)
+    function getLocalMidnight(day, month, year, timeZone) {
+        return timeZone ? getZonedTime(timeZone, day, month, year, 0, 0).utcMillis : toUtcMillis(day, month, year, 0, 0);
+    }
+
+    // Local wall clock in the zone for a UT instant.
+    // Returns {day, month, year, hour, minute, second, offset (min)}
+    function getZonedDateTime(timeZone, utcMillis) {
+        var offset = getTimeZoneOffset(timeZone, utcMillis);
+        var local = new Date(utcMillis + offset * 60000);
+        return {
+            day: local.getUTCDate(),
+            month: local.getUTCMonth() + 1,
+            year: local.getUTCFullYear(),
+            hour: local.getUTCHours(),
+            minute: local.getUTCMinutes(),
+            second: local.getUTCSeconds(),
+            offset: offset
+        };
+    }
+
+    // ------------------------------------------------------------------
+    // Sun events and twilight
+    // ------------------------------------------------------------------
+
+    // Simplified European DST: April-September and all of March
+    function isSimplifiedDST(month) {
+        return (month > 3 && month < 10) || month === 3;
+    }
+
+    // UTC offset in hours guessed from longitude
+    function determineTimezone(longitude, month) {
+        // Basic timezone from longitude (15° = 1 hour)
+        var basicTZ = Math.round(longitude / 15);
+
+        var isDST = isSimplifiedDST(month);
+
+        // Timezone corrections for specific regions
+        if (longitude >= -10 && longitude <= 40) {
+            // Europe roughly
+            if (longitude >= -10 && longitude <= 5) {
+                // Western Europe (UK, Portugal, western France)
+                return isDST ? 1 : 0; // GMT/BST
+            } else if (longitude >= 5 && longitude <= 15) {
+                // Central Europe (CET/CEST)
+                return isDST ? 2 : 1; // CET/CEST
+            } else if (longitude >= 15 && longitude <= 30) {
+                // Eastern Europe (EET/EEST)
+                return isDST ? 3 : 2; // EET/EEST
+            } else {
+                // Further east
+                return isDST ? 4 : 3;
+            }
+        }
+
+        // For other regions outside Europe, use basic calculation
+        return basicTZ + (isDST ? 1 : 0);
+    }
+
+    // Sun altitudes (degrees) bounding the events of the day: sunrise and
+    // sunset with refraction and the solar radius, golden hour between +6°
+    // and -4°, blue hour between -4° and -6° and the three twilights
+    var SUN_EVENT_ALTITUDES = {
+        golden: 6,
+        horizon: -0.833,
+        blue: -4,
+        civil: -6,
+        nautical: -12,
+        astronomical: -18
+    };
+
+    // Sun events of a local date for an observer (longitude east positive).
+    // The Sun's altitude is sampled over the whole day, so midnight sun and
+    // polar night are detected at any latitude. With an IANA timeZone the
+    // offsets come from Intl for the exact instants, otherwise the zone is
+    // guessed from longitude (determineTimezone).
+    // An elevation (m) above the surroundings lowers the visible horizon
+    // (dip of 2.076' * sqrt(m)) for sunrise and sunset.
+    // Times are decimal local hours, null when the Sun does not cross the
+    // altitude that day; golden and blue hours are [start, end] pairs.
+    // Returns {sunrise, sunset, sunriseUtc, sunsetUtc (UT millis), dayLength (h), polarDay, polarNight, solarNoon,
+    //          maxElevation (deg), civilDawn, civilDusk, nauticalDawn, nauticalDusk,
+    //          astronomicalDawn, astronomicalDusk, goldenHour: {morning, evening},
+    //          blueHour: {morning, evening}, declination (deg), eqTime (min),
+    //          timezone (h), dst, zone?, abbreviation?}
+    function calculateSunEvents(day, month, year, latitude, longitude, timeZone, locale, elevation) {
+        var midnightUtc = toUtcMillis(day, month, year, 0, 0);
+        var start, end, fixedOffset;
+        if (timeZone) {
+            var next = getDateFromJulianDay(getJulianDayNumber(day, month, year) + 1);
+            start = getLocalMidnight(day, month, year, timeZone);
+            end = getLocalMidnight(next.day, next.month, next.year, timeZone);
+        } else {
+            fixedOffset = determineTimezone(longitude, month);
+            start = midnightUtc - fixedOffset * 3600000;
+            end = start + 86400000;
+        }
+        var toLocalHours = function(utcMillis) {
+            if (utcMillis === null) return null;
+            var offset = timeZone ? getTimeZoneOffset(timeZone, utcMillis) / 60 : fixedOffset;
+            return normalizeHours((utcMillis - midnightUtc) / 3600000 + offset);
+        };
+
+        // Samples are shared by all altitudes
+        var altitudes = {};
+        var altitudeAt = function(utcMillis) {
+            if (altitudes[utcMillis] === undefined) {
+                var sun = getSunPosition(getJulianEphemerisDay(utcMillis));
+                altitudes[utcMillis] = getAltitude(sun.ra, sun.dec, latitude, longitude, julianDayFromMillis(utcMillis));
+            }
+            return altitudes[utcMillis];
+        };
+        var horizon = SUN_EVENT_ALTITUDES.horizon - (elevation > 0 ? 2.076 * Math.sqrt(elevation) / 60 : 0);
+        var events = {};
+        Object.keys(SUN_EVENT_ALTITUDES).forEach(function(name) {
+            var limit = name === 'horizon' ? horizon : SUN_EVENT_ALTITUDES[name];
+            var crossings = findAltitudeCrossings(function(utcMillis) {
+                return altitudeAt(utcMillis) - limit;
+            }, start, end, (end - start) / 96);
+            var event = { rise: null, set: null, riseMillis: null, setMillis: null, crossings: crossings };
+            crossings.forEach(function(crossing) {
+                if (crossing.rising && event.rise === null) {
+                    event.rise = toLocalHours(crossing.utcMillis);
+                    event.riseMillis = crossing.utcMillis;
+                }
+                if (!crossing.rising && event.set === null) {
+                    event.set = toLocalHours(crossing.utcMillis);
+                    event.setMillis = crossing.utcMillis;
+                }
+            });
+            events[name] = event;
+        });
+
+        // Time above the horizon within the local day
+        var up = altitudeAt(start) > horizon;
+        var since = start;
+        var daylight = 0;
+        events.horizon.crossings.forEach(function(crossing) {
+            if (crossing.rising) {
+                since = crossing.utcMillis;
+            } else {
+                daylight += crossing.utcMillis - since;
+            }
+            up = crossing.rising;
+        });
+        if (up) daylight += end - since;
+
+        // Upper transit: hour angle zero
+        var transit = midnightUtc + (12 - longitude / 15) * 3600000;
+        while (transit < start) transit += 86400000;
+        while (transit >= end) transit -= 86400000;
+        var sun;
+        for (var i = 0; i < 3; i++) {
+            sun = getSunPosition(getJulianEphemerisDay(transit));
+            var hourAngle = normalizeDegrees(getGreenwichSiderealAngle(julianDayFromMillis(transit)) + longitude - sun.ra + 180) - 180;
+            transit -= hourAngle / 360.9856 * 86400000;
+        }
+        // Equation of time: apparent minus mean solar time at the transit
+        var eqHours = 12 - ((transit - midnightUtc) / 3600000 + longitude / 15);
+        eqHours -= 24 * Math.round(eqHours / 24);
+
+        var noCrossing = !events.horizon.crossings.length;
+        var result = {
+            sunrise: events.horizon.rise,
+            sunset: events.horizon.set,
+            sunriseUtc: events.horizon.riseMillis,
+            sunsetUtc: events.horizon.setMillis,
+            dayLength: daylight / 3600000,
+            polarDay: noCrossing && up,
+            polarNight: noCrossing && !up,
+            solarNoon: toLocalHours(transit),
+            maxElevation: getAltitude(sun.ra, sun.dec, latitude, longitude, julianDayFromMillis(transit)),
+            civilDawn: events.civil.rise,
+            civilDusk: events.civil.set,
+            nauticalDawn: events.nautical.rise,
+            nauticalDusk: events.nautical.set,
+            astronomicalDawn: events.astronomical.rise,
+            astronomicalDusk: events.astronomical.set,
+            goldenHour: {
+                morning: [events.blue.rise, events.golden.rise],
+                evening: [events.golden.set, events.blue.set]
+            },
+            blueHour: {
+                morning: [events.civil.rise, events.blue.rise],
+                evening: [events.blue.set, events.civil.set]
+            },
+            declination: sun.dec,
+            eqTime: eqHours * 60
+        };
+
+        if (timeZone) {
+            var noonZone = describeTimeZone(timeZone, transit, locale);
+            result.timezone = noonZone.offset;
+            result.dst = noonZone.dst;
+            result.zone = timeZone;
+            result.abbreviation = noonZone.abbreviation;
+        } else {
+            result.timezone = fixedOffset;
+            result.dst = isSimplifiedDST(month);
+        }
+        return result;
+    }
+
+    // Sun events for every day of a month (or of the whole year without
+    // month), each with dayLengthChange (h) against the previous day.
+    // Returns [{day, month, year, ...calculateSunEvents fields}]
+    function getSunEventsTable(month, year, latitude, longitude, timeZone, locale, elevation) {
+        var first = getJulianDayNumber(1, month || 1, year);
+        var last = month ?
+            getJulianDayNumber(getDaysInMonth(month, year, 'gregorian'), month, year) :
+            getJulianDayNumber(31, 12, year);
+        var previousDate = getDateFromJulianDay(first - 1);
+        var previous = calculateSunEvents(previousDate.day, previousDate.month, previousDate.year, latitude, longitude, timeZone, locale, elevation);
+        var rows = [];
+        for (var jdn = first; jdn <= last; jdn++) {
+            var date = getDateFromJulianDay(jdn);
+            var events = calculateSunEvents(date.day, date.month, date.year, latitude, longitude, timeZone, locale, elevation);
+            events.day = date.day;
+            events.month = date.month;
+            events.year = date.year;
+            events.dayLengthChange = events.dayLength - previous.dayLength;
+            rows.push(events);
+            previous = events;
+        }
+        return rows;
+    }
+
+    function normalizeHours(hours) {
+        while (hours < 0) hours += 24;
+        while (hours >= 24) hours -= 24;
+        return hours;
+    }
+
+    // ------------------------------------------------------------------
+    // Planets
+    // ------------------------------------------------------------------
+
+    // Keplerian elements for the mean ecliptic and equinox of J2000 (JPL,
+    // Standish: "Keplerian Elements for Approximate Positions of the Major
+    // Planets"): [a (AU), e, I, L, longitude of perihelion, longitude of node]
+    // and their rates per Julian century. The first set fits 1800-2050, the
+    // second 3000 BC - 3000 AD with extra terms [b, c, s, f] for the mean
+    // anomaly of the giant planets.
+    var PLANET_ELEMENTS_1800_2050 = {
+        mercury: [[0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+            [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]],
+        venus: [[0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+            [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418]],
+        earth: [[1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0],
+            [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0]],
+        mars: [[1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+            [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]],
+        jupiter: [[5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+            [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]],
+        saturn: [[9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+            [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]],
+        uranus: [[19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.95427630, 74.01692503],
+            [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589]],
+        neptune: [[30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+            [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664]]
+    };
+
+    var PLANET_ELEMENTS_LONG = {
+        mercury: [[0.38709843, 0.20563661, 7.00559432, 252.25166724, 77.45771895, 48.33961819],
+            [0.00000000, 0.00002123, -0.00590158, 149472.67486623, 0.15940013, -0.12214182]],
+        venus: [[0.72332102, 0.00676399, 3.39777545, 181.97970850, 131.76755713, 76.67261496],
+            [-0.00000026, -0.00005107, 0.00043494, 58517.81560260, 0.05679648, -0.27274174]],
+        earth: [[1.00000018, 0.01673163, -0.00054346, 100.46691572, 102.93005885, -5.11260389],
+            [-0.00000003, -0.00003661, -0.01337178, 35999.37306329, 0.31795260, -0.24123856]],
+        mars: [[1.52371243, 0.09336511, 1.85181869, -4.56813164, -23.91744784, 49.71320984],
+            [0.00000097, 0.00009149, -0.00724757, 19140.29934243, 0.45223625, -0.26852431]],
+        jupiter: [[5.20248019, 0.04853590, 1.29861416, 34.33479152, 14.27495244, 100.29282654],
+            [-0.00002864, 0.00018026, -0.00322699, 3034.90371757, 0.18199196, 0.13024619],
+            [-0.00012452, 0.06064060, -0.35635438, 38.35125000]],
+        saturn: [[9.54149883, 0.05550825, 2.49424102, 50.07571329, 92.86136063, 113.63998702],
+            [-0.00003065, -0.00032044, 0.00451969, 1222.11494724, 0.54179478, -0.25015002],
+            [0.00025899, -0.13434469, 0.87320147, 38.35125000]],
+        uranus: [[19.18797948, 0.04685740, 0.77298127, 314.20276625, 172.43404441, 73.96250215],
+            [-0.00020455, -0.00001550, -0.00180155, 428.49512595, 0.09266985, 0.05739699],
+            [0.00058331, -0.97731848, 0.17689245, 7.67025000]],
+        neptune: [[30.06952752, 0.00895439, 1.77005520, 304.22289287, 46.68158724, 131.78635853],
+            [0.00006447, 0.00000818, 0.00022400, 218.46515314, 0.01009938, -0.00606302],
+            [-0.00041348, 0.68346318, -0.10162547, 7.67025000]]
+    };
+
+    var PLANETS = ['mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune'];
+
+    // Everything listed by getPlanetPositions, in display order
+    var SKY_BODIES = ['sun', 'moon'].concat(PLANETS);
+
+    // Equatorial semidiameters at 1 AU (arcsec, Meeus ch. 55)
+    var PLANET_SEMIDIAMETERS = {
+        mercury: 3.36, venus: 8.41, mars: 4.68, jupiter: 98.44, saturn: 82.73, uranus: 35.02, neptune: 33.50
+    };
+
+    // Heliocentric rectangular coordinates (AU) for the mean ecliptic and
+    // equinox of J2000; T in Julian centuries of TT from J2000
+    function getHeliocentricPosition(key, T) {
+        var inFit = T >= -2 && T <= 0.5;
+        var set = (inFit ? PLANET_ELEMENTS_1800_2050 : PLANET_ELEMENTS_LONG)[key];
+        var el = set[0].map(function(value, index) {
+            return value + set[1][index] * T;
+        });
+        var a = el[0], e = el[1], I = el[2] * DEG, L = el[3], perihelion = el[4], node = el[5];
+        var M = L - perihelion;
+        if (!inFit && set[2]) {
+            var extra = set[2];
+            M += extra[0] * T * T + extra[1] * Math.cos(extra[3] * T * DEG) + extra[2] * Math.sin(extra[3] * T * DEG);
+        }
+        M = (normalizeDegrees(M + 180) - 180) * DEG;
+
+        // Kepler's equation by Newton's method
+        var E = M + e * Math.sin(M);
+        for (var i = 0; i < 10; i++) {
+            var delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+            E -= delta;
+            if (Math.abs(delta) < 1e-12) break;
+        }
+        var xOrbit = a * (Math.cos(E) - e);
+        var yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+        var omega = (perihelion - node) * DEG;
+        var Omega = node * DEG;
+        var cosO = Math.cos(Omega), sinO = Math.sin(Omega);
+        var cosw = Math.cos(omega), sinw = Math.sin(omega);
+        var cosI = Math.cos(I), sinI = Math.sin(I);
+        return [
+            (cosw * cosO - sinw * sinO * cosI) * xOrbit + (-sinw * cosO - cosw * sinO * cosI) * yOrbit,
+            (cosw * sinO + sinw * cosO * cosI) * xOrbit + (-sinw * sinO + cosw * cosO * cosI) * yOrbit,
+            sinw * sinI * xOrbit + cosw * sinI * yOrbit
+        ];
+    }
+
+    // Ecliptic coordinates from the mean equinox of J2000 to the mean equinox
+    // of date (Meeus ch. 21, rigorous method)
+    function precessEclipticFromJ2000(longitude, latitude, T) {
+        var eta = (47.0029 - T * (0.03302 - T * 0.000060)) * T / 3600 * DEG;
+        var Pi = (174.876384 - (869.8089 * T - 0.03536 * T * T) / 3600) * DEG;
+        var p = (5029.0966 + T * (1.11113 - T * 0.0000006)) * T / 3600;
+        var lon = longitude * DEG;
+        var lat = latitude * DEG;
+        var A = Math.cos(eta) * Math.cos(lat) * Math.sin(Pi - lon) - Math.sin(eta) * Math.sin(lat);
+        var B = Math.cos(lat) * Math.cos(Pi - lon);
+        var C = Math.cos(eta) * Math.sin(lat) + Math.sin(eta) * Math.cos(lat) * Math.sin(Pi - lon);
+        return {
+            longitude: normalizeDegrees(p + Pi / DEG - Math.atan2(A, B) / DEG),
+            latitude: Math.asin(C) / DEG
+        };
+    }
+
+    // Apparent geocentric position of a planet with light time, precession
+    // and nutation. Accuracy follows the JPL elements: well under an
+    // arcminute for the inner planets, several arcminutes for Jupiter and
+    // Saturn.
+    // Returns {longitude, latitude, ra, dec (deg), distance, sunDistance (AU), phaseAngle (deg)}
+    function getPlanetPosition(key, jde) {
+        var T = (jde - 2451545) / 36525;
+        var earth = getHeliocentricPosition('earth', T);
+        // Earth-Moon barycentre to the Earth's centre
+        var moon = getMoonPosition(jde);
+        var moonShare = moon.distance / AU_KM / 82.3;
+        earth[0] -= moonShare * Math.cos(moon.latitude * DEG) * Math.cos(moon.longitude * DEG);
+        earth[1] -= moonShare * Math.cos(moon.latitude * DEG) * Math.sin(moon.longitude * DEG);
+        earth[2] -= moonShare * Math.sin(moon.latitude * DEG);
+
+        var planet, geo, distance = 0;
+        for (var i = 0; i < 2; i++) {
+            planet = getHeliocentricPosition(key, T - distance * 0.0057755183 / 36525);
+            geo = [planet[0] - earth[0], planet[1] - earth[1], planet[2] - earth[2]];
+            distance = Math.sqrt(geo[0] * geo[0] + geo[1] * geo[1] + geo[2] * geo[2]);
+        }
+        var sunDistance = Math.sqrt(planet[0] * planet[0] + planet[1] * planet[1] + planet[2] * planet[2]);
+        var earthDistance = Math.sqrt(earth[0] * earth[0] + earth[1] * earth[1] + earth[2] * earth[2]);
+
+        var ecliptic = precessEclipticFromJ2000(
+            Math.atan2(geo[1], geo[0]) / DEG,
+            Math.asin(geo[2] / distance) / DEG, T);
+        var nutation = getNutation(T);
+        var longitude = normalizeDegrees(ecliptic.longitude + nutation.longitude);
+        var equatorial = eclipticToEquatorial(longitude, ecliptic.latitude, nutation.obliquity);
+        var cosPhase = (sunDistance * sunDistance + distance * distance - earthDistance * earthDistance) /
+            (2 * sunDistance * distance);
+        return {
+            longitude: longitude,
+            latitude: ecliptic.latitude,
+            ra: equatorial.ra,
+            dec: equatorial.dec,
+            distance: distance,
+            sunDistance: sunDistance,
+            phaseAngle: Math.acos(Math.max(-1, Math.min(1, cosPhase))) / DEG
+        };
+    }
+
+    // Visual magnitude (Meeus ch. 41); i = phase angle in degrees
+    function getPlanetMagnitude(key, position) {
+        var i = position.phaseAngle;
+        var base = 5 * Math.log(position.sunDistance * position.distance) / Math.LN10;
+        switch (key) {
+            case 'mercury':
+                return -0.42 + base + 0.0380 * i - 0.000273 * i * i + 0.000002 * i * i * i;
+            case 'venus':
+                return -4.40 + base + 0.0009 * i + 0.000239 * i * i - 0.00000065 * i * i * i;
+            case 'mars':
+                return -1.52 + base + 0.016 * i;
+            case 'jupiter':
+                return -9.40 + base + 0.005 * i;
+            case 'saturn':
+                // Ring tilt towards the Earth (Meeus ch. 45)
+                var T = position.T;
+                var ringInclination = (28.075216 - 0.012998 * T + 0.000004 * T * T) * DEG;
+                var ringNode = (169.508470 + 1.394681 * T + 0.000412 * T * T) * DEG;
+                var lon = position.longitude * DEG;
+                var lat = position.latitude * DEG;
+                var sinB = Math.abs(Math.sin(ringInclination) * Math.cos(lat) * Math.sin(lon - ringNode) -
+                    Math.cos(ringInclination) * Math.sin(lat));
+                return -8.88 + base - 2.60 * sinB + 1.25 * sinB * sinB;
+            case 'uranus':
+                return -7.19 + base;
+            default:
+                return -6.87 + base;
+        }
+    }
+
+    // Visibility code (i18n key: 'planet_' + code) from the elongation,
+    // signed east (+) or west (-) of the Sun
+    function getPlanetVisibility(key, elongation) {
+        var distance = Math.abs(elongation);
+        if (key === 'mercury' || key === 'venus') {
+            if (distance < 10) return 'invisible_too_close';
+            if (distance < 15) return 'poorly_visible';
+            return elongation < 0 ? 'morning_visibility' : 'evening_visibility';
+        }
+        if (distance >= 150) return 'opposition_ideal';
+        if (distance >= 90) return 'visible_all_night';
+        if (distance >= 30) return 'visible_evening_morning';
+        return 'close_to_sun';
+    }
+
+    // Rising, upper transit and setting of a body within start..end (UT
+    // millis). equatorialAt(ms) returns {ra, dec, horizon}, horizon being the
+    // altitude of the event (refraction, semidiameter, parallax).
+    // Returns {rise, transit, set (UT millis or null), alwaysUp, alwaysDown}
+    function getRiseTransitSet(equatorialAt, latitude, longitude, start, end) {
+        var cache = {};
+        var at = function(utcMillis) {
+            if (!cache[utcMillis]) cache[utcMillis] = equatorialAt(utcMillis);
+            return cache[utcMillis];
+        };
+        var step = (end - start) / 48;
+        var crossings = findAltitudeCrossings(function(utcMillis) {
+            var position = at(utcMillis);
+            return getAltitude(position.ra, position.dec, latitude, longitude, julianDayFromMillis(utcMillis)) - position.horizon;
+        }, start, end, step);
+        // Hour angle passes zero going from negative to positive at the transit
+        var transits = findAltitudeCrossings(function(utcMillis) {
+            var position = at(utcMillis);
+            return normalizeDegrees(getGreenwichSiderealAngle(julianDayFromMillis(utcMillis)) + longitude - position.ra + 180) - 180;
+        }, start, end, step).filter(function(crossing) {
+            return crossing.rising;
+        });
+
+        var result = { rise: null, transit: transits.length ? transits[0].utcMillis : null, set: null, alwaysUp: false, alwaysDown: false };
+        crossings.forEach(function(crossing) {
+            if (crossing.rising && result.rise === null) result.rise = crossing.utcMillis;
+            if (!crossing.rising && result.set === null) result.set = crossing.utcMillis;
+        });
+        if (!crossings.length) {
+            var position = at(start);
+            var up = getAltitude(position.ra, position.dec, latitude, longitude, julianDayFromMillis(start)) > position.horizon;
+            result.alwaysUp = up;
+            result.alwaysDown = !up;
+        }
+        return result;
+    }
+
+    // Apparent place of a body from SKY_BODIES.
+    // Returns {ra, dec, longitude, latitude (deg), distance (AU, km for the Moon),
+    //          phaseAngle (deg), illumination (0-1), diameter (arcsec), magnitude, horizon (deg)}
+    function getSkyBodyPosition(key, jde) {
+        var T = (jde - 2451545) / 36525;
+        if (key === 'sun') {
+            var sun = getSunPosition(jde);
+            return {
+                ra: sun.ra, dec: sun.dec, longitude: sun.longitude, latitude: 0,
+                distance: sun.distance, phaseAngle: 0, illumination: 1,
+                diameter: 2 * 959.63 / sun.distance, magnitude: -26.74, horizon: -0.8333
+            };
+        }
+        if (key === 'moon') {
+            var moon = getMoonPosition(jde);
+            var light = getMoonIllumination(jde);
+            var moonPhase = Math.acos(2 * light.fraction - 1) / DEG;
+            return {
+                ra: moon.ra, dec: moon.dec, longitude: moon.longitude, latitude: moon.latitude,
+                distance: moon.distance, phaseAngle: moonPhase, illumination: light.fraction,
+                diameter: 2 * 358473400 / moon.distance,
+                magnitude: -12.73 + 0.026 * moonPhase + 4e-9 * Math.pow(moonPhase, 4),
+                horizon: 0.7275 * moon.parallax - 0.5667, parallax: moon.parallax
+            };
+        }
+        var position = getPlanetPosition(key, jde);
+        position.T = T;
+        position.illumination = (1 + Math.cos(position.phaseAngle * DEG)) / 2;
+        position.diameter = 2 * PLANET_SEMIDIAMETERS[key] / position.distance;
+        position.magnitude = getPlanetMagnitude(key, position);
+        position.horizon = -0.5667;
+        delete position.T;
+        return position;
+    }
+
+    // Sun, Moon and planets at a local time in an IANA zone (UTC without
+    // timeZone). With observer = {latitude, longitude} every body also gets
+    // the current altitude/azimuth (azimuth from north through east) and the
+    // rise, transit and set of that local date.
+    // Returns {utcMillis, zone?, abbreviation?, offset?, bodies: [{key, ra, dec,
+    //          longitude, latitude, distance, phaseAngle, illumination, diameter,
+    //          magnitude, elongation, constellation, type?, visibility?,
+    //          altitude?, azimuth?, rise?, transit?, set?, alwaysUp?, alwaysDown?}]}
+    function getPlanetPositions(day, month, year, hour, minute, timeZone, observer, locale) {
+        var zone = timeZone ? getZonedTime(timeZone, day, month, year, hour || 0, minute || 0, locale) : null;
+        var utcMillis = zone ? zone.utcMillis : toUtcMillis(day, month, year, hour || 0, minute || 0);
+        var jd = julianDayFromMillis(utcMillis);
+        var jde = getJulianEphemerisDay(utcMillis);
+        var sun = getSunPosition(jde);
+        var dayStart, dayEnd;
+        if (observer) {
+            var next = getDateFromJulianDay(getJulianDayNumber(day, month, year) + 1);
+            dayStart = getLocalMidnight(day, month, year, timeZone);
+            dayEnd = getLocalMidnight(next.day, next.month, next.year, timeZone);
+        }
+
+        var bodies = SKY_BODIES.map(function(key) {
+            var body = getSkyBodyPosition(key, jde);
+            body.key = key;
+            var elongation = normalizeDegrees(body.longitude - sun.longitude + 180) - 180;
+            body.elongation = Math.abs(elongation);
+            body.constellation = getConstellation(body.longitude);
+            if (PLANETS.indexOf(key) !== -1) {
+                body.type = key === 'mercury' || key === 'venus' ? 'inner' : 'outer';
+                body.visibility = getPlanetVisibility(key, elongation);
+            }
+
+            if (observer) {
+                var lat = observer.latitude * DEG;
+                var hourAngle = (getGreenwichSiderealAngle(jd) + observer.longitude - body.ra) * DEG;
+                var dec = body.dec * DEG;
+                var altitude = Math.asin(Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(hourAngle)) / DEG;
+                if (body.parallax) altitude -= body.parallax * Math.cos(altitude * DEG);
+                body.altitude = altitude;
+                body.azimuth = normalizeDegrees(Math.atan2(Math.sin(hourAngle),
+                    Math.cos(hourAngle) * Math.sin(lat) - Math.tan(dec) * Math.cos(lat)) / DEG + 180);
+
+                var events = getRiseTransitSet(function(utcMillis) {
+                    return getSkyBodyPosition(key, getJulianEphemerisDay(utcMillis));
+                }, observer.latitude, observer.longitude, dayStart, dayEnd);
+                body.rise = events.rise;
+                body.transit = events.transit;
+                body.set = events.set;
+                body.alwaysUp = events.alwaysUp;
+                body.alwaysDown = events.alwaysDown;
+            }
+            delete body.horizon;
+            delete body.parallax;
+            return body;
+        });
+
+        return {
+            utcMillis: utcMillis,
+            zone: zone ? zone.zone : undefined,
+            abbreviation: zone ? zone.abbreviation : undefined,
+            offset: zone ? zone.offset : undefined,
+            bodies: bodies
+        };
+    }
+
+    // Heliocentric ecliptic positions of the planets and the Earth (mean
+    // equinox of date, without light time) for an orbit diagram, ordered
+    // outwards from the Sun.
+    // Returns [{key, longitude, latitude (deg), distance, semiMajorAxis (AU)}]
+    function getHeliocentricPositions(utcMillis) {
+        var T = (getJulianEphemerisDay(utcMillis) - 2451545) / 36525;
+        return PLANETS.slice(0, 2).concat(['earth'], PLANETS.slice(2)).map(function(key) {
+            var position = getHeliocentricPosition(key, T);
+            var distance = Math.sqrt(position[0] * position[0] + position[1] * position[1] + position[2] * position[2]);
+            var ecliptic = precessEclipticFromJ2000(
+                Math.atan2(position[1], position[0]) / DEG,
+                Math.asin(position[2] / distance) / DEG, T);
+            return {
+                key: key,
+                longitude: ecliptic.longitude,
+                latitude: ecliptic.latitude,
+                distance: distance,
+                semiMajorAxis: PLANET_ELEMENTS_LONG[key][0][0]
+            };
+        });
+    }
+
+    // Zodiac constellation code for an ecliptic longitude
+    function getConstellation(longitude) {
+        var index = Math.floor(longitude / 30);
+        if (index < 0 || index > 11 || isNaN(index)) return 'pisces';
+        return CONSTELLATIONS[index];
+    }
+
+    // ------------------------------------------------------------------
+    // Eclipses (Meeus ch. 54)
+    // ------------------------------------------------------------------
+
+    // Eclipse at a new moon (integer k) or full moon (k + 0.5), null when the
+    // Moon is too far from its node. gamma is the least distance of the shadow
+    // axis from the Earth's centre (solar) or of the Moon's centre from the
+    // shadow axis (lunar) in Earth radii, u the umbral radius on the
+    // fundamental plane.
+    // Returns {kind, type: 'total'|'annular'|'hybrid'|'partial'|'penumbral',
+    //          jde, gamma, magnitude, penumbralMagnitude?, semiDurations? (min)}
+    function getLunationEclipse(k) {
+        var T = k / 1236.85;
+        var F = normalizeDegrees(160.7108 + 390.67050284 * k + T * T * (-0.0016118 + T * (-0.00000227 + T * 0.000000011)));
+        if (Math.abs(Math.sin(F * DEG)) > 0.36) return null;
+
+        var solar = k === Math.floor(k);
+        var E = 1 - T * (0.002516 + T * 0.0000074);
+        var M = (2.5534 + 29.10535670 * k - T * T * (0.0000014 + T * 0.00000011)) * DEG;
+        var Mp = (201.5643 + 385.81693528 * k + T * T * (0.0107582 + T * (0.00001238 - T * 0.000000058))) * DEG;
+        var omega = (124.7746 - 1.56375588 * k + T * T * (0.0020672 + T * 0.00000215)) * DEG;
+        var F1 = (F - 0.02665 * Math.sin(omega)) * DEG;
+        var A1 = (299.77 + 0.107408 * k - 0.009173 * T * T) * DEG;
+
+        var jde = 2451550.09766 + 29.530588861 * k + T * T * (0.00015437 + T * (-0.000000150 + T * 0.00000000073)) +
+            (solar ? -0.4075 * Math.sin(Mp) + 0.1721 * E * Math.sin(M) : -0.4065 * Math.sin(Mp) + 0.1727 * E * Math.sin(M)) +
+            0.0161 * Math.sin(2 * Mp) - 0.0097 * Math.sin(2 * F1) + 0.0073 * E * Math.sin(Mp - M) -
+            0.0050 * E * Math.sin(Mp + M) - 0.0023 * Math.sin(Mp - 2 * F1) + 0.0021 * E * Math.sin(2 * M) +
+            0.0012 * Math.sin(Mp + 2 * F1) + 0.0006 * E * Math.sin(2 * Mp + M) - 0.0004 * Math.sin(3 * Mp) -
+            0.0003 * E * Math.sin(M + 2 * F1) + 0.0003 * Math.sin(A1) - 0.0002 * E * Math.sin(M - 2 * F1) -
+            0.0002 * E * Math.sin(2 * Mp - M) - 0.0002 * Math.sin(omega);
+
+        var P = 0.2070 * E * Math.sin(M) + 0.0024 * E * Math.sin(2 * M) - 0.0392 * Math.sin(Mp) +
+            0.0116 * Math.sin(2 * Mp) - 0.0073 * E * Math.sin(Mp + M) + 0.0067 * E * Math.sin(Mp - M) +
+            0.0118 * Math.sin(2 * F1);
+        var Q = 5.2207 - 0.0048 * E * Math.cos(M) + 0.0020 * E * Math.cos(2 * M) - 0.3299 * Math.cos(Mp) -
+            0.0060 * E * Math.cos(Mp + M) + 0.0041 * E * Math.cos(Mp - M);
+        var W = Math.abs(Math.cos(F1));
+        var gamma = (P * Math.cos(F1) + Q * Math.sin(F1)) * (1 - 0.0048 * W);
+        var u = 0.0059 + 0.0046 * E * Math.cos(M) - 0.0182 * Math.cos(Mp) + 0.0004 * Math.cos(2 * Mp) -
+            0.0005 * Math.cos(M + Mp);
+        var absGamma = Math.abs(gamma);
+
+        if (solar) {
+            if (absGamma > 1.5433 + u) return null;
+            var type;
+            if (absGamma < 0.9972 || absGamma < 0.9972 + Math.abs(u)) {
+                if (u < 0) {
+                    type = 'total';
+                } else if (u > 0.0047) {
+                    type = 'annular';
+                } else {
+                    type = u < 0.00464 * Math.sqrt(1 - gamma * gamma) ? 'hybrid' : 'annular';
+                }
+            } else {
+                type = 'partial';
+            }
+            var magnitude;
+            if (absGamma < 0.9972) {
+                // Ratio of the apparent diameters seen from the point of greatest eclipse
+                var moon = getMoonPosition(jde);
+                var sun = getSunPosition(jde);
+                var moonDistance = moon.distance - EARTH_RADIUS_KM * Math.sqrt(1 - gamma * gamma);
+                magnitude = (MOON_RADIUS_KM / moonDistance) / (SUN_RADIUS_KM / (sun.distance * AU_KM));
+            } else {
+                magnitude = (1.5433 + u - absGamma) / (0.5461 + 2 * u);
+            }
+            return { kind: 'solar', type: type, jde: jde, gamma: gamma, magnitude: magnitude };
+        }
+
+        var penumbralMagnitude = (1.5573 + u - absGamma) / 0.5450;
+        if (penumbralMagnitude <= 0) return null;
+        var umbralMagnitude = (1.0128 - u - absGamma) / 0.5450;
+        var n = 0.5458 + 0.0400 * Math.cos(Mp);
+        var semiDuration = function(radius) {
+            return radius > absGamma ? 60 / n * Math.sqrt(radius * radius - gamma * gamma) : 0;
+        };
+        return {
+            kind: 'lunar',
+            type: umbralMagnitude >= 1 ? 'total' : umbralMagnitude > 0 ? 'partial' : 'penumbral',
+            jde: jde,
+            gamma: gamma,
+            magnitude: umbralMagnitude > 0 ? umbralMagnitude : penumbralMagnitude,
+            penumbralMagnitude: penumbralMagnitude,
+            semiDurations: {
+                penumbral: semiDuration(1.5573 + u),
+                partial: semiDuration(1.0128 - u),
+                total: semiDuration(0.4678 - u)
+            }
+        };
+    }
+
+    // Topocentric Sun and Moon for an observer (elevation in m): angular
+    // separation of the centres and apparent radii (deg), Sun altitude (deg)
+    function getSunMoonTopocentric(utcMillis, latitude, longitude, elevation) {
+        var jd = julianDayFromMillis(utcMillis);
+        var jde = getJulianEphemerisDay(utcMillis);
+        var sun = getSunPosition(jde);
+        var moon = getMoonPosition(jde);
+        var toVector = function(ra, dec, distance) {
+            return [
+                distance * Math.cos(dec * DEG) * Math.cos(ra * DEG),
+                distance * Math.cos(dec * DEG) * Math.sin(ra * DEG),
+                distance * Math.sin(dec * DEG)
+            ];
+        };
+        // Geocentric observer (Meeus ch. 11)
+        var phi = latitude * DEG;
+        var reduced = Math.atan(0.99664719 * Math.tan(phi));
+        var height = (elevation || 0) / 6378140;
+        var rhoSin = 0.99664719 * Math.sin(reduced) + height * Math.sin(phi);
+        var rhoCos = Math.cos(reduced) + height * Math.cos(phi);
+        var theta = (getGreenwichSiderealAngle(jd) + longitude) * DEG;
+        var observer = [
+            EARTH_RADIUS_KM * rhoCos * Math.cos(theta),
+            EARTH_RADIUS_KM * rhoCos * Math.sin(theta),
+            EARTH_RADIUS_KM * rhoSin
+        ];
+        var s = toVector(sun.ra, sun.dec, sun.distance * AU_KM);
+        var m = toVector(moon.ra, moon.dec, moon.distance);
+        for (var i = 0; i < 3; i++) {
+            s[i] -= observer[i];
+            m[i] -= observer[i];
+        }
+        var dot = s[0] * m[0] + s[1] * m[1] + s[2] * m[2];
+        var cross = Math.sqrt(
+            Math.pow(s[1] * m[2] - s[2] * m[1], 2) +
+            Math.pow(s[2] * m[0] - s[0] * m[2], 2) +
+            Math.pow(s[0] * m[1] - s[1] * m[0], 2));
+        var sunDistance = Math.sqrt(s[0] * s[0] + s[1] * s[1] + s[2] * s[2]);
+        var moonDistance = Math.sqrt(m[0] * m[0] + m[1] * m[1] + m[2] * m[2]);
+        return {
+            separation: Math.atan2(cross, dot) / DEG,
+            sunRadius: Math.asin(SUN_RADIUS_KM / sunDistance) / DEG,
+            moonRadius: Math.asin(MOON_RADIUS_KM / moonDistance) / DEG,
+            sunAltitude: getAltitude(sun.ra, sun.dec, latitude, longitude, jd)
+        };
+    }
+
+    // Visibility of an eclipse lasting start..end from the altitude of the
+    // body: 'full', 'partial' (rises or sets meanwhile) or 'below_horizon'
+    function getEclipseVisibility(altitudeAt, start, end) {
+        var crossings = findAltitudeCrossings(altitudeAt, start, end, Math.max((end - start) / 24, 60000));
+        if (crossings.length) return 'partial';
+        return altitudeAt(start) > 0 ? 'full' : 'below_horizon';
+    }
+
+    // Local circumstances of a solar eclipse: contacts C1-C4 found from the
+    // topocentric overlap of the discs within 4 hours of greatest eclipse.
+    // Returns {visibility: 'outside' when the Moon's shadow misses the place,
+    //          type, magnitude, contacts: [{code, utcMillis, altitude}], duration? (ms)}
+    function getSolarEclipseLocal(greatest, latitude, longitude, elevation) {
+        var cache = {};
+        var at = function(utcMillis) {
+            var key = Math.round(utcMillis);
+            if (!cache[key]) cache[key] = getSunMoonTopocentric(key, latitude, longitude, elevation);
+            return cache[key];
+        };
+        var overlap = function(utcMillis) {
+            var position = at(utcMillis);
+            return position.sunRadius + position.moonRadius - position.separation;
+        };
+        var start = greatest - 4 * 3600000;
+        var end = greatest + 4 * 3600000;
+        var crossings = findAltitudeCrossings(overlap, start, end, 120000);
+        var c1 = null, c4 = null;
+        crossings.forEach(function(crossing) {
+            if (crossing.rising && c1 === null) c1 = crossing.utcMillis;
+            if (!crossing.rising && c1 !== null && c4 === null) c4 = crossing.utcMillis;
+        });
+        if (c1 === null || c4 === null) return { visibility: 'outside' };
+
+        // Least separation by golden-section search
+        var low = c1, high = c4;
+        var ratio = (Math.sqrt(5) - 1) / 2;
+        for (var i = 0; i < 40; i++) {
+            var a = high - ratio * (high - low);
+            var b = low + ratio * (high - low);
+            if (at(a).separation < at(b).separation) high = b;
+            else low = a;
+        }
+        var maximum = Math.round((low + high) / 2);
+        var atMaximum = at(maximum);
+
+        var contacts = [{ code: 'c1', utcMillis: c1 }, { code: 'max', utcMillis: maximum }, { code: 'c4', utcMillis: c4 }];
+        var type = 'partial';
+        var duration;
+        var central = function(utcMillis) {
+            var position = at(utcMillis);
+            return Math.abs(position.moonRadius - position.sunRadius) - position.separation;
+        };
+        if (central(maximum) > 0) {
+            type = atMaximum.moonRadius > atMaximum.sunRadius ? 'total' : 'annular';
+            var bisect = function(low, high) {
+                var lowInside = central(low) > 0;
+                for (var j = 0; j < 30; j++) {
+                    var middle = (low + high) / 2;
+                    if ((central(middle) > 0) === lowInside) low = middle;
+                    else high = middle;
+                }
+                return Math.round((low + high) / 2);
+            };
+            var c2 = bisect(c1, maximum);
+            var c3 = bisect(maximum, c4);
+            contacts.splice(1, 0, { code: 'c2', utcMillis: c2 });
+            contacts.splice(3, 0, { code: 'c3', utcMillis: c3 });
+            duration = c3 - c2;
+        }
+        contacts.forEach(function(contact) {
+            contact.altitude = at(contact.utcMillis).sunAltitude;
+        });
+
+        var result = {
+            visibility: getEclipseVisibility(function(utcMillis) {
+                return at(utcMillis).sunAltitude;
+            }, c1, c4),
+            type: type,
+            magnitude: (atMaximum.sunRadius + atMaximum.moonRadius - atMaximum.separation) / (2 * atMaximum.sunRadius),
+            contacts: contacts
+        };
+        if (duration !== undefined) result.duration = duration;
+        return result;
+    }
+
+    // Contacts of a lunar eclipse (P1, U1, U2, maximum, U3, U4, P4) with the
+    // Moon's topocentric altitude at an observer when coordinates are given
+    function getLunarEclipseContacts(eclipse, greatest, latitude, longitude) {
+        var durations = eclipse.semiDurations;
+        var contacts = [];
+        var add = function(code, minutes) {
+            contacts.push({ code: code, utcMillis: Math.round(greatest + minutes * 60000) });
+        };
+        add('p1', -durations.penumbral);
+        if (durations.partial) add('u1', -durations.partial);
+        if (durations.total) add('u2', -durations.total);
+        add('max', 0);
+        if (durations.total) add('u3', durations.total);
+        if (durations.partial) add('u4', durations.partial);
+        add('p4', durations.penumbral);
+        if (latitude === undefined || latitude === null) return { contacts: contacts };
+
+        var moonAltitude = function(utcMillis) {
+            var moon = getMoonPosition(getJulianEphemerisDay(utcMillis));
+            var altitude = getAltitude(moon.ra, moon.dec, latitude, longitude, julianDayFromMillis(utcMillis));
+            return altitude - moon.parallax * Math.cos(altitude * DEG);
+        };
+        contacts.forEach(function(contact) {
+            contact.altitude = moonAltitude(contact.utcMillis);
+        });
+        return {
+            contacts: contacts,
+            visibility: getEclipseVisibility(moonAltitude, contacts[0].utcMillis, contacts[contacts.length - 1].utcMillis)
+        };
+    }
+
+    // Solar and lunar eclipses whose greatest eclipse falls in the year (UT,
+    // calendar of the reform region). options = {region, latitude, longitude,
+    // elevation}; with coordinates every eclipse gets local circumstances.
+    // Returns [{kind, type, utcMillis, date, magnitude, gamma,
+    //           penumbralMagnitude?, contacts? (lunar), local?}] sorted by time
+    function getEclipses(year, options) {
+        options = options || {};
+        var region = options.region;
+        var withLocation = typeof options.latitude === 'number' && typeof options.longitude === 'number';
+        var first = getLocalJulianDayNumber(1, 1, year, region) || getLocalJulianDayNumber(2, 1, year, region);
+        var startJd = first.jdn - 0.5 - 20;
+        var endJd = first.jdn - 0.5 + 366 + 20;
+        var k = Math.floor((startJd - 2451550.09766) / SYNODIC_MONTH);
+        var eclipses = [];
+
+        for (; ; k += 0.5) {
+            var eclipse = getLunationEclipse(k);
+            if (!eclipse) {
+                if (2451550.09766 + k * SYNODIC_MONTH > endJd) break;
+                continue;
+            }
+            if (eclipse.jde > endJd) break;
+            var utcMillis = millisFromJulianEphemerisDay(eclipse.jde);
+            var date = getLocalDateFromJulianDay(Math.floor(julianDayFromMillis(utcMillis) + 0.5), region);
+            if (date.year !== year) continue;
+
+            var entry = {
+                kind: eclipse.kind,
+                type: eclipse.type,
+                utcMillis: utcMillis,
+                date: date,
+                magnitude: eclipse.magnitude,
+                gamma: eclipse.gamma
+            };
+            if (eclipse.kind === 'lunar') {
+                entry.penumbralMagnitude = eclipse.penumbralMagnitude;
+                var lunar = getLunarEclipseContacts(eclipse, utcMillis, withLocation ? options.latitude : null, options.longitude);
+                entry.contacts = lunar.contacts;
+                if (withLocation) entry.local = { visibility: lunar.visibility };
+            } else if (withLocation) {
+                entry.local = getSolarEclipseLocal(utcMillis, options.latitude, options.longitude, options.elevation);
+            }
+            eclipses.push(entry);
+        }
+        return eclipses;
+    }
+
+    // ------------------------------------------------------------------
+    // Sidereal time
+    // ------------------------------------------------------------------
+
+    // Greenwich and local sidereal time for a civil time at a longitude.
+    // timeZone is an IANA zone name; a number instead is a DST offset in hours
+    // added to the zone derived from longitude (15° = 1 hour).
+    // Returns {gst, lst (hours), lstDegrees, timezone (h), baseTimezone (h), dstOffset (h),
+    // zone?, abbreviation?, utc: {day, month, year, hour, minute}}
+    function getSiderealTime(day, month, year, hour, minute, longitude, timeZone, locale) {
+        var baseTimezone, dstOffset, utcMillis, zone = null;
+
+        if (typeof timeZone === 'string') {
+            zone = getZonedTime(timeZone, day, month, year, hour, minute, locale);
+            baseTimezone = zone.standardOffset;
+            dstOffset = zone.offset - zone.standardOffset;
+            utcMillis = zone.utcMillis;
+        } else {
+            // Calculate standard timezone from longitude (15° = 1 hour)
+            baseTimezone = Math.round(longitude / 15);
+            dstOffset = timeZone || 0;
+            utcMillis = toUtcMillis(day, month, year, hour, minute) - (baseTimezone + dstOffset) * 3600000;
+        }
+
+        var totalTimezone = baseTimezone + dstOffset;
+
+        // Convert local time to UTC
+        var utc = new Date(utcMillis);
+        var utcDate = { day: utc.getUTCDate(), month: utc.getUTCMonth() + 1, year: utc.getUTCFullYear() };
+        var utcHour = utc.getUTCHours();
+        minute = utc.getUTCMinutes();
+
+        // USNO Algorithm for Greenwich Mean Sidereal Time
+        // 0h UT is JDN - 0.5. Versions before the test suite used + 0.5, i.e. the next midnight,
+        // which made GMST and LST 3 min 57 s too large.
+        var jd0 = getJulianDayNumber(utcDate.day, utcDate.month, utcDate.year) - 0.5; // Midnight JD (JDN starts at noon)
+        var H = utcHour + minute / 60.0; // Hours since midnight UTC
+        var DUT = jd0 - 2451545.0; // Days since J2000.0 epoch
+        var T = DUT / 36525; // Centuries since J2000.0
+
+        // Greenwich Mean Sidereal Time (USNO formula)
+        var GMST = 6.697375 + 0.065709824279 * DUT + 1.0027379 * H + 0.0000258 * T * T;
+        GMST = GMST % 24;
+        if (GMST < 0) GMST += 24;
+
+        // Local Sidereal Time (add longitude in hours)
+        var LST = GMST + longitude / 15;
+        LST = LST % 24;
+        if (LST < 0) LST += 24;
+
+        return {
+            gst: GMST,
+            lst: LST,
+            lstDegrees: LST * 15,
+            timezone: totalTimezone,
+            baseTimezone: baseTimezone,
+            dstOffset: dstOffset,
+            zone: zone ? zone.zone : undefined,
+            abbreviation: zone ? zone.abbreviation : undefined,
+            utc: {
+                day: utcDate.day,
+                month: utcDate.month,
+                year: utcDate.year,
+                hour: utcHour,
+                minute: minute
+            }
+        };
+    }
+
+    // Sidereal time gained per unit of civil time (USNO, as in getSiderealTime)
+    var SIDEREAL_RATE = 1.0027379;
+
+    // Civil instants of a local date in the zone when the local sidereal time
+    // at longitude equals lst (hours), i.e. when an object with RA = lst
+    // transits the meridian. A sidereal day is 3 min 56 s shorter than the
+    // civil day, so some dates have two such instants.
+    // Returns [{utcMillis, day, month, year, hour, minute, second, offset}]
+    function findSiderealTimeInstants(day, month, year, lst, longitude, timeZone, locale) {
+        var next = getDateFromJulianDay(getJulianDayNumber(day, month, year) + 1);
+        var start = getLocalMidnight(day, month, year, timeZone);
+        var end = getLocalMidnight(next.day, next.month, next.year, timeZone);
+
+        // getSiderealTime počítá po minutách, zbylé sekundy se přičtou
+        var utc = new Date(start);
+        var sidereal = getSiderealTime(utc.getUTCDate(), utc.getUTCMonth() + 1, utc.getUTCFullYear(),
+            utc.getUTCHours(), utc.getUTCMinutes(), longitude, 'UTC', locale);
+        var startLst = sidereal.lst + (utc.getUTCSeconds() + utc.getUTCMilliseconds() / 1000) / 3600 * SIDEREAL_RATE;
+
+        var instants = [];
+        var step = 86400000 / SIDEREAL_RATE;
+        for (var utcMillis = start + floorMod(lst - startLst, 24) / SIDEREAL_RATE * 3600000; utcMillis < end; utcMillis += step) {
+            var local = getZonedDateTime(timeZone, Math.round(utcMillis));
+            local.utcMillis = Math.round(utcMillis);
+            instants.push(local);
+        }
+        return instants;
+    }
+
+    // North galactic pole and the galactic longitude of the north celestial
+    // pole for the equinox J2000 (degrees)
+    var GALACTIC_POLE = { ra: 192.85948, dec: 27.12825, longitude: 122.93192 };
+
+    var COORDINATE_SYSTEMS = ['equatorial', 'horizontal', 'ecliptic', 'galactic'];
+
+    // Rigorous precession of equatorial coordinates (Meeus ch. 21) from the
+    // epoch T by t, both in Julian centuries (T from J2000)
+    function precessEquatorial(ra, dec, T, t) {
+        var base = 2306.2181 + T * (1.39656 - T * 0.000139);
+        var zeta = (base * t + (0.30188 - 0.000344 * T) * t * t + 0.017998 * t * t * t) / 3600 * DEG;
+        var z = (base * t + (1.09468 + 0.000066 * T) * t * t + 0.018203 * t * t * t) / 3600 * DEG;
+        var theta = ((2004.3109 - T * (0.85330 + T * 0.000217)) * t - (0.42665 + 0.000217 * T) * t * t -
+            0.041833 * t * t * t) / 3600 * DEG;
+        var alpha = ra * DEG + zeta;
+        var delta = dec * DEG;
+        var A = Math.cos(delta) * Math.sin(alpha);
+        var B = Math.cos(theta) * Math.cos(delta) * Math.cos(alpha) - Math.sin(theta) * Math.sin(delta);
+        var C = Math.sin(theta) * Math.cos(delta) * Math.cos(alpha) + Math.cos(theta) * Math.sin(delta);
+        return { ra: normalizeDegrees((Math.atan2(A, B) + z) / DEG), dec: Math.asin(C) / DEG };
+    }
+
+    // Position given in one of COORDINATE_SYSTEMS as (a, b) in degrees -
+    // (ra, dec), (azimuth, altitude), (longitude, latitude) - in all of them
+    // for a UT instant and an observer. RA/Dec and ecliptic coordinates are
+    // for the equinox of date, galactic ones are reduced to J2000 first.
+    // Altitude is geometric (no refraction), azimuth from north through east.
+    // Returns {lst (hours), equatorial: {ra, dec}, horizontal: {azimuth, altitude},
+    //          ecliptic: {longitude, latitude}, galactic: {longitude, latitude}}
+    function convertCoordinates(system, a, b, utcMillis, latitude, longitude) {
+        var T = (getJulianEphemerisDay(utcMillis) - 2451545) / 36525;
+        var lst = normalizeDegrees(getGreenwichSiderealAngle(julianDayFromMillis(utcMillis)) + longitude);
+        var eps = getNutation(T).obliquity * DEG;
+        var lat = latitude * DEG;
+        var x = a * DEG;
+        var y = b * DEG;
+        var ra, dec;
+
+        switch (system) {
+            case 'horizontal':
+                dec = Math.asin(Math.sin(lat) * Math.sin(y) + Math.cos(lat) * Math.cos(y) * Math.cos(x));
+                ra = lst * DEG - Math.atan2(-Math.sin(x) * Math.cos(y),
+                    Math.sin(y) * Math.cos(lat) - Math.cos(y) * Math.sin(lat) * Math.cos(x));
+                break;
+            case 'ecliptic':
+                var equatorial = eclipticToEquatorial(a, b, eps / DEG);
+                ra = equatorial.ra * DEG;
+                dec = equatorial.dec * DEG;
+                break;
+            case 'galactic':
+                var poleDec = GALACTIC_POLE.dec * DEG;
+                var fromPole = (GALACTIC_POLE.longitude - a) * DEG;
+                var j2000 = {
+                    ra: GALACTIC_POLE.ra + Math.atan2(Math.cos(y) * Math.sin(fromPole),
+                        Math.sin(y) * Math.cos(poleDec) - Math.cos(y) * Math.sin(poleDec) * Math.cos(fromPole)) / DEG,
+                    dec: Math.asin(Math.sin(y) * Math.sin(poleDec) + Math.cos(y) * Math.cos(poleDec) * Math.cos(fromPole)) / DEG
+                };
+                var ofDate = precessEquatorial(j2000.ra, j2000.dec, 0, T);
+                ra = ofDate.ra * DEG;
+                dec = ofDate.dec * DEG;
+                break;
+            default:
+                ra = x;
+                dec = y;
+        }
+        ra = normalizeDegrees(ra / DEG);
+        dec = dec / DEG;
+
+        var decRad = dec * DEG;
+        var hourAngle = (lst - ra) * DEG;
+        var altitude = Math.asin(Math.sin(lat) * Math.sin(decRad) + Math.cos(lat) * Math.cos(decRad) * Math.cos(hourAngle));
+        var azimuth = Math.atan2(Math.sin(hourAngle),
+            Math.cos(hourAngle) * Math.sin(lat) - Math.tan(decRad) * Math.cos(lat)) / DEG + 180;
+
+        var raRad = ra * DEG;
+        var eclipticLongitude = Math.atan2(Math.sin(raRad) * Math.cos(eps) + Math.tan(decRad) * Math.sin(eps), Math.cos(raRad));
+        var eclipticLatitude = Math.asin(Math.sin(decRad) * Math.cos(eps) - Math.cos(decRad) * Math.sin(eps) * Math.sin(raRad));
+
+        var inJ2000 = precessEquatorial(ra, dec, T, -T);
+        var alpha = (inJ2000.ra - GALACTIC_POLE.ra) * DEG;
+        var delta = inJ2000.dec * DEG;
+        var poleDeclination = GALACTIC_POLE.dec * DEG;
+        var galacticLatitude = Math.asin(Math.sin(delta) * Math.sin(poleDeclination) +
+            Math.cos(delta) * Math.cos(poleDeclination) * Math.cos(alpha));
+        var galacticLongitude = GALACTIC_POLE.longitude - Math.atan2(Math.cos(delta) * Math.sin(alpha),
+            Math.sin(delta) * Math.cos(poleDeclination) - Math.cos(delta) * Math.sin(poleDeclination) * Math.cos(alpha)) / DEG;
+
+        return {
+            lst: lst / 15,
+            equatorial: { ra: ra, dec: dec },
+            horizontal: { azimuth: normalizeDegrees(azimuth), altitude: altitude / DEG },
+            ecliptic: { longitude: normalizeDegrees(eclipticLongitude / DEG), latitude: eclipticLatitude / DEG },
+            galactic: { longitude: normalizeDegrees(galacticLongitude), latitude: galacticLatitude / DEG }
+        };
+    }
+
+    // ------------------------------------------------------------------
+    // iCalendar export (RFC 5545)
+    // ------------------------------------------------------------------
+
+    var ICS_PRODUCT_ID = '-//PWA Calendar Calc//Calendar Calculator//EN';
+
+    // TEXT value: backslash, semicolon, comma and newlines escaped
+    function escapeIcsText(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
+
+    // Content lines are folded after 75 octets of UTF-8, never inside a character
+    function foldIcsLine(line) {
+        var parts = [];
+        var current = '';
+        var octets = 0;
+        for (var i = 0; i < line.length; i++) {
+            var code = line.charCodeAt(i);
+            var character = line.charAt(i);
+            if (code >= 0xD800 && code <= 0xDBFF && i + 1 < line.length) {
+                character += line.charAt(++i);
+            }
+            var size = code < 0x80 ? 1 : code < 0x800 ? 2 : code >= 0xD800 && code <= 0xDBFF ? 4 : 3;
+            if (octets + size > (parts.length ? 74 : 75)) {
+                parts.push(current);
+                current = '';
+                octets = 0;
+            }
+            current += character;
+            octets += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    function padIcs(number, length) {
+        var text = String(Math.abs(number));
+        while (text.length < length) text = '0' + text;
+        return text;
+    }
+
+    // {day, month, year} -> 20250420
+    function formatIcsDate(date) {
+        return padIcs(date.year, 4) + padIcs(date.month, 2) + padIcs(date.day, 2);
+    }
+
+    // Wall clock {day, month, year, hour, minute, second} -> 20250420T061400
+    function formatIcsDateTime(local) {
+        return formatIcsDate(local) + 'T' + padIcs(local.hour, 2) + padIcs(local.minute, 2) + padIcs(local.second || 0, 2);
+    }
+
+    function formatIcsUtc(utcMillis) {
+        var date = new Date(Math.round(utcMillis / 1000) * 1000);
+        return formatIcsDateTime({
+            day: date.getUTCDate(),
+            month: date.getUTCMonth() + 1,
+            year: date.getUTCFullYear(),
+            hour: date.getUTCHours(),
+            minute: date.getUTCMinutes(),
+            second: date.getUTCSeconds()
+        }) + 'Z';
+    }
+
+    // Offset in minutes -> +0130
+    function formatIcsOffset(minutes) {
+        return (minutes < 0 ? '-' : '+') + padIcs(Math.floor(Math.abs(minutes) / 60), 2) + padIcs(Math.abs(minutes) % 60, 2);
+    }
+
+    // Offset changes of the zone in start..end (UT millis). Offsets are
+    // sampled weekly (no zone changes twice within a week) and each change is
+    // bisected to the minute.
+    // Returns [{utcMillis, offsetFrom, offsetTo (min)}]
+    function getTimeZoneTransitions(timeZone, start, end) {
+        var transitions = [];
+        var step = 7 * 86400000;
+        var previous = getTimeZoneOffset(timeZone, start);
+        for (var time = start; time < end; time += step) {
+            var next = Math.min(time + step, end);
+            var offset = getTimeZoneOffset(timeZone, next);
+            if (offset === previous) continue;
+            var low = Math.floor(time / 60000);
+            var high = Math.ceil(next / 60000);
+            while (high - low > 1) {
+                var middle = Math.floor((low + high) / 2);
+                if (getTimeZoneOffset(timeZone, middle * 60000) === previous) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            transitions.push({ utcMillis: high * 60000, offsetFrom: previous, offsetTo: offset });
+            previous = offset;
+        }
+        return transitions;
+    }
+
+    // VTIMEZONE with the observances in force between start and end
+    function getIcsTimeZoneLines(timeZone, start, end) {
+        var isDaylight = function(utcMillis, offset) {
+            var year = new Date(utcMillis).getUTCFullYear();
+            return offset > Math.min(
+                getTimeZoneOffset(timeZone, toUtcMillis(1, 1, year, 12, 0)),
+                getTimeZoneOffset(timeZone, toUtcMillis(1, 7, year, 12, 0))
+            );
+        };
+        var observance = function(utcMillis, offsetFrom, offsetTo) {
+            var name = isDaylight(utcMillis, offsetTo) ? 'DAYLIGHT' : 'STANDARD';
+            var wallClock = new Date(utcMillis + offsetFrom * 60000);
+            return [
+                'BEGIN:' + name,
+                'DTSTART:' + formatIcsDateTime({
+                    day: wallClock.getUTCDate(),
+                    month: wallClock.getUTCMonth() + 1,
+                    year: wallClock.getUTCFullYear(),
+                    hour: wallClock.getUTCHours(),
+                    minute: wallClock.getUTCMinutes(),
+                    second: wallClock.getUTCSeconds()
+                }),
+                'TZOFFSETFROM:' + formatIcsOffset(offsetFrom),
+                'TZOFFSETTO:' + formatIcsOffset(offsetTo),
+                'END:' + name
+            ];
+        };
+        // The first observance starts a day early so that it covers the first event
+        var first = start - 86400000;
+        var initial = getTimeZoneOffset(timeZone, first);
+        var lines = ['BEGIN:VTIMEZONE', 'TZID:' + timeZone].concat(observance(first, initial, initial));
+        getTimeZoneTransitions(timeZone, first, end).forEach(function(transition) {
+            lines = lines.concat(observance(transition.utcMillis, transition.offsetFrom, transition.offsetTo));
+        });
+        return lines.concat('END:VTIMEZONE');
+    }
+
+    // iCalendar file text (CRLF lines) for a list of events:
+    //   {uid, summary, description?, location?, geo?: {latitude, longitude},
+    //    date: {day, month, year}}            - all-day event (Gregorian date)
+    //   {uid, summary, ..., start, end?}       - instant or span in UT millis
+    // options: {timeZone (IANA; UTC times without it or for 'UTC'), name, stamp (UT millis)}
+    function createICalendar(events, options) {
+        options = options || {};
+        var zone = options.timeZone && options.timeZone !== 'UTC' ? options.timeZone : null;
+        var stamp = formatIcsUtc(options.stamp === undefined ? Date.now() : options.stamp);
+        var formatInstant = function(name, utcMillis) {
+            return zone ?
+                name + ';TZID=' + zone + ':' + formatIcsDateTime(getZonedDateTime(zone, utcMillis)) :
+                name + ':' + formatIcsUtc(utcMillis);
+        };
+
+        var lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:' + ICS_PRODUCT_ID, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+        if (options.name) {
+            lines.push('X-WR-CALNAME:' + escapeIcsText(options.name));
+        }
+        if (zone) {
+            lines.push('X-WR-TIMEZONE:' + zone);
+            var instants = [];
+            events.forEach(function(event) {
+                if (event.start !== undefined) instants.push(event.start, event.end === undefined ? event.start : event.end);
+            });
+            if (instants.length) {
+                lines = lines.concat(getIcsTimeZoneLines(zone, Math.min.apply(null, instants), Math.max.apply(null, instants)));
+            }
+        }
+
+        events.forEach(function(event) {
+            lines.push('BEGIN:VEVENT', 'UID:' + event.uid, 'DTSTAMP:' + stamp);
+            if (event.date) {
+                var next = getDateFromJulianDay(getJulianDayNumber(event.date.day, event.date.month, event.date.year) + 1);
+                lines.push('DTSTART;VALUE=DATE:' + formatIcsDate(event.date), 'DTEND;VALUE=DATE:' + formatIcsDate(next),
+                    'TRANSP:TRANSPARENT');
+            } else {
+                lines.push(formatInstant('DTSTART', event.start));
+                if (event.end !== undefined && event.end > event.start) {
+                    lines.push(formatInstant('DTEND', event.end));
+                }
+            }
+            lines.push('SUMMARY:' + escapeIcsText(event.summary));
+            if (event.description) lines.push('DESCRIPTION:' + escapeIcsText(event.description));
+            if (event.location) lines.push('LOCATION:' + escapeIcsText(event.location));
+            if (event.geo) lines.push('GEO:' + event.geo.latitude.toFixed(6) + ';' + event.geo.longitude.toFixed(6));
+            lines.push('END:VEVENT');
+        });
+        lines.push('END:VCALENDAR');
+
+        return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+    }
+
+    return {
+        SYNODIC_MONTH: SYNODIC_MONTH,
+        MOON_PHASES: MOON_PHASES,
+        CONSTELLATIONS: CONSTELLATIONS,
+        PLANETS: PLANETS,
+        SKY_BODIES: SKY_BODIES,
+
+        REFORMS: REFORMS,
+        REFORM_REGIONS: REFORM_REGIONS,
+        DEFAULT_REFORM: DEFAULT_REFORM,
+
+        isLeapYear: isLeapYear,
+        getDaysInMonth: getDaysInMonth,
+        isJulianDate: isJulianDate,
+        isNonexistentDate: isNonexistentDate,
+        getLocalJulianDayNumber: getLocalJulianDayNumber,
+        getLocalDateFromJulianDay: getLocalDateFromJulianDay,
+        getJulianDayNumber: getJulianDayNumber,
+        getDateFromJulianDay: getDateFromJulianDay,
+        getWeekdayFromJDN: getWeekdayFromJDN,
+        getDayOfWeek: getDayOfWeek,
+        findYears: findYears,
+        getYearLayout: getYearLayout,
+        findSameCalendarYears: findSameCalendarYears,
+        getMonthGrid: getMonthGrid,
+        addDays: addDays,
+        getDateDifference: getDateDifference,
+        getNextAnniversary: getNextAnniversary,
+        getEasterDate: getEasterDate,
+        getEasterFeasts: getEasterFeasts,
+        MOVABLE_FEASTS: MOVABLE_FEASTS,
+        getOrthodoxEasterDate: getOrthodoxEasterDate,
+        getAdventSundays: getAdventSundays,
+        getPassoverDate: getPassoverDate,
+
+        HOLIDAY_COUNTRIES: HOLIDAY_COUNTRIES,
+        HOLIDAY_RULES: HOLIDAY_RULES,
+        DEFAULT_WEEKEND: DEFAULT_WEEKEND,
+        getPublicHolidays: getPublicHolidays,
+        isBusinessDay: isBusinessDay,
+        addBusinessDays: addBusinessDays,
+        countBusinessDays: countBusinessDays,
+
+        CALENDARS: CALENDARS,
+        CALENDAR_FIELDS: CALENDAR_FIELDS,
+        isHebrewLeapYear: isHebrewLeapYear,
+        isIslamicLeapYear: isIslamicLeapYear,
+        isPersianLeapYear: isPersianLeapYear,
+        isFrenchRepublicanLeapYear: isFrenchRepublicanLeapYear,
+        calendarToJulianDay: calendarToJulianDay,
+        julianDayToCalendar: julianDayToCalendar,
+
+        getDeltaT: getDeltaT,
+        getSunPosition: getSunPosition,
+        getMoonPosition: getMoonPosition,
+
+        MOON_PRINCIPAL_PHASES: MOON_PRINCIPAL_PHASES,
+        getMoonAge: getMoonAge,
+        getMoonInfo: getMoonInfo,
+        getMoonPhasesBetween: getMoonPhasesBetween,
+        SEASONS: SEASONS,
+        getSeasons: getSeasons,
+        getMoonriseMoonset: getMoonriseMoonset,
+
+        isValidTimeZone: isValidTimeZone,
+        getDeviceTimeZone: getDeviceTimeZone,
+        getTimeZoneOffset: getTimeZoneOffset,
+        getTimeZoneAbbreviation: getTimeZoneAbbreviation,
+        describeTimeZone: describeTimeZone,
+        getZonedTime: getZonedTime,
+        getLocalMidnight: getLocalMidnight,
+        getZonedDateTime: getZonedDateTime,
+
+        determineTimezone: determineTimezone,
+        calculateSunEvents: calculateSunEvents,
+        getSunEventsTable: getSunEventsTable,
+
+        getPlanetPositions: getPlanetPositions,
+        getHeliocentricPositions: getHeliocentricPositions,
+        getConstellation: getConstellation,
+
+        getEclipses: getEclipses,
+
+        getSiderealTime: getSiderealTime,
+        findSiderealTimeInstants: findSiderealTimeInstants,
+        COORDINATE_SYSTEMS: COORDINATE_SYSTEMS,
+        convertCoordinates: convertCoordinates,
+
+        getTimeZoneTransitions: getTimeZoneTransitions,
+        createICalendar: createICalendar
+    };
+});
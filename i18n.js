@@ -1,6 +1,7 @@
 const SUPPORTED_LANGUAGES = ['cs', 'en', 'de', 'fr', 'es', 'ru', 'uk'];
 const I18N_DEFAULT = 'en'; // fallback, pokud není jazyk podporován
 let i18nData = {};
+let i18nFallback = {}; // anglické texty pro klíče, které v překladu chybějí
 let i18nReady = false;
 let currentLang = I18N_DEFAULT;
 
@@ -53,6 +54,7 @@ async function loadI18n(lang) {
     // Pokus o načtení z cache
     if (window.i18nDataCache && window.i18nDataCache[lang]) {
         i18nData = cleanI18nData(window.i18nDataCache[lang]);
+        await loadI18nFallback(lang);
         i18nReady = true;
         return i18nData;
     }
@@ -69,6 +71,7 @@ async function loadI18n(lang) {
         // Uložit do cache (včetně komentářů pro případné další použití)
         window.i18nDataCache = window.i18nDataCache || {};
         window.i18nDataCache[lang] = rawData;
+        await loadI18nFallback(lang);
         
         i18nReady = true;
         console.log(`Language ${lang} loaded successfully (${Object.keys(i18nData).length} keys)`);
@@ -95,6 +98,26 @@ async function loadI18n(lang) {
     }
 }
 
+// Angličtina pro jednotlivé chybějící klíče; bez ní se chybějící klíč zobrazí jako [key]
+async function loadI18nFallback(lang) {
+    if (lang === I18N_DEFAULT) {
+        i18nFallback = {};
+        return;
+    }
+    try {
+        window.i18nDataCache = window.i18nDataCache || {};
+        if (!window.i18nDataCache[I18N_DEFAULT]) {
+            const resp = await fetch(`./i18n/${I18N_DEFAULT}.json`);
+            if (!resp.ok) throw new Error(`Failed to load language ${I18N_DEFAULT}: ${resp.status}`);
+            window.i18nDataCache[I18N_DEFAULT] = await resp.json();
+        }
+        i18nFallback = cleanI18nData(window.i18nDataCache[I18N_DEFAULT]);
+    } catch (e) {
+        console.warn('Fallback translations not available:', e);
+        i18nFallback = {};
+    }
+}
+
 // Optimalizovaná funkce pro překlad s lepším error handlingem
 function i18n(key, vars = {}) {
     if (!i18nReady || !i18nData) {
@@ -105,14 +128,130 @@ function i18n(key, vars = {}) {
     let val = i18nData[key];
     if (val === undefined) {
         console.warn(`Missing translation key: ${key} for language: ${currentLang}`);
+        val = i18nFallback[key];
+    }
+    if (val === undefined) {
         return `[${key}]`; // Místo chybové hlášky vrátí klíč
     }
     
-    // Jednoduchá podpora proměnných ve tvaru {var}
-    Object.keys(vars).forEach(k => {
-        val = val.replace(new RegExp(`{${k}}`, 'g'), vars[k]);
-    });
-    return val;
+    if (val.indexOf('{') === -1) return val;
+    return formatMessage(val, vars, null);
+}
+
+// Zprávy ve stylu ICU MessageFormat (podmnožina):
+//   {var}                               hodnota beze změny (původní formát překladů)
+//   {n, number} / {n, number, integer}  číslo podle jazyka, {n, number, percent}
+//   {n, plural, one {# den} few {# dny} other {# dní}}   i =0 {…}, # je číslo podle jazyka
+//   {n, selectordinal, one {#st} other {#th}}
+//   {g, select, male {…} other {…}}
+// Apostrofy se na rozdíl od ICU neescapují (francouzské texty je běžně obsahují).
+// Neznámá proměnná zůstane v textu jako {var}, stejně jako dřív.
+const MESSAGE_ARGUMENT = /^\s*([\w]+)\s*(?:,\s*(number|plural|selectordinal|select)\s*(?:,\s*([\s\S]*))?)?$/;
+const numberFormats = {};
+const pluralRules = {};
+
+// Počet desetinných míst podle zadané hodnoty, takže "11.0" z toFixed(1) zůstane "11,0"
+function getFractionDigits(value) {
+    const match = /\.(\d+)$/.exec(String(value));
+    return match ? Math.min(match[1].length, 20) : 0;
+}
+
+function formatNumber(value, style) {
+    const digits = style === 'integer' ? 0 : getFractionDigits(value);
+    const key = `${currentLang}:${style || ''}:${digits}`;
+    if (!numberFormats[key]) {
+        numberFormats[key] = new Intl.NumberFormat(currentLang, style === 'percent' ? { style: 'percent' } : {
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        });
+    }
+    return numberFormats[key].format(Number(value));
+}
+
+function selectPlural(value, type) {
+    const digits = getFractionDigits(value);
+    const key = `${currentLang}:${type}:${digits}`;
+    if (!pluralRules[key]) {
+        pluralRules[key] = new Intl.PluralRules(currentLang, {
+            type: type,
+            minimumFractionDigits: digits
+        });
+    }
+    return pluralRules[key].select(Number(value));
+}
+
+// Konec bloku ve složených závorkách začínajícího na pozici start
+function findClosingBrace(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}' && --depth === 0) return i;
+    }
+    return -1;
+}
+
+// "one {…} few {…} other {…}" -> { one: '…', few: '…', other: '…' }
+function parseMessageOptions(text) {
+    const options = {};
+    let i = 0;
+    while (i < text.length) {
+        const selector = /^\s*([^\s{]+)\s*/.exec(text.slice(i));
+        if (!selector) break;
+        const open = i + selector[0].length;
+        if (text[open] !== '{') return null;
+        const close = findClosingBrace(text, open);
+        if (close === -1) return null;
+        options[selector[1]] = text.slice(open + 1, close);
+        i = close + 1;
+    }
+    return options;
+}
+
+function formatArgument(name, type, rest, vars, pound) {
+    const value = vars[name];
+    if (type === 'number') return formatNumber(value, rest && rest.trim());
+
+    const options = parseMessageOptions(rest || '');
+    if (!options) return null;
+    let branch;
+    if (type === 'select') {
+        branch = Object.prototype.hasOwnProperty.call(options, value) ? options[value] : options.other;
+    } else {
+        branch = options[`=${Number(value)}`];
+        if (branch === undefined) branch = options[selectPlural(value, type === 'plural' ? 'cardinal' : 'ordinal')];
+        if (branch === undefined) branch = options.other;
+        pound = formatNumber(value);
+    }
+    return branch === undefined ? '' : formatMessage(branch, vars, pound);
+}
+
+function formatMessage(message, vars, pound) {
+    let result = '';
+    for (let i = 0; i < message.length; i++) {
+        const char = message[i];
+        if (char === '#' && pound !== null) {
+            result += pound;
+            continue;
+        }
+        if (char !== '{') {
+            result += char;
+            continue;
+        }
+        const close = findClosingBrace(message, i);
+        const argument = close === -1 ? null : MESSAGE_ARGUMENT.exec(message.slice(i + 1, close));
+        if (!argument || !Object.prototype.hasOwnProperty.call(vars, argument[1])) {
+            result += char;
+            continue;
+        }
+        const formatted = argument[2] ? formatArgument(argument[1], argument[2], argument[3], vars, pound) : String(vars[argument[1]]);
+        if (formatted === null) {
+            result += char;
+            continue;
+        }
+        result += formatted;
+        i = close;
+    }
+    return result;
 }
 
 // Optimalizovaná funkce pro získání názvu dne v týdnu
@@ -194,6 +333,9 @@ async function changeLang(lang) {
         // Po načtení překladů obnovit texty v UI
         updateI18nUI();
         
+        // Texty vytvořené skriptem (např. naplánované připomínky) se přeloží znovu
+        document.dispatchEvent(new CustomEvent('languagechanged', { detail: { language: lang } }));
+        
         // Aktualizujte Service Worker o změně jazyka
         if (navigator.serviceWorker && navigator.serviceWorker.controller) {
             navigator.serviceWorker.controller.postMessage({
@@ -228,12 +370,23 @@ async function initI18n() {
     console.log(`Language: ${currentLang}, Keys: ${Object.keys(i18nData).length}`);
 }
 
+// Proměnné překladu prvku z atributu data-i18n-vars (JSON)
+function getI18nVars(el) {
+    let vars = el.getAttribute('data-i18n-vars');
+    if (!vars) return {};
+    try {
+        return JSON.parse(vars);
+    } catch (e) {
+        return {};
+    }
+}
+
 // Optimalizovaná funkce pro update celého UI
 function updateI18nUI() {
-    // Základní data-i18n atributy
+    // Základní data-i18n atributy (proměnné volitelně v data-i18n-vars jako JSON)
     document.querySelectorAll('[data-i18n]').forEach(el => {
         let key = el.getAttribute('data-i18n');
-        if (key) el.innerHTML = i18n(key);
+        if (key) el.innerHTML = i18n(key, getI18nVars(el));
     });
     
     // Placeholder texty
@@ -275,7 +428,7 @@ function updateI18nUI() {
     // Select options - speciální handling
     document.querySelectorAll('option[data-i18n]').forEach(el => {
         let key = el.getAttribute('data-i18n');
-        if (key) el.textContent = i18n(key);
+        if (key) el.textContent = i18n(key, getI18nVars(el));
     });
 
     // Update meta tag pro PWA
@@ -1,22 +1,37 @@
 // Fixed Service Worker for Calendar Calculator
 const CACHE_BASE_NAME = 'calendar-calculator';
-const CACHE_VERSION = 'v1.72-' + new Date().getTime();
-const CACHE_NAME = CACHE_BASE_NAME + '-' + CACHE_VERSION;
 
-const URLS_TO_CACHE = [
-    './',
-    './index.html',
-    './i18n.js',
-    './manifest.json',
-    './sw.js',
-    './i18n/cs.json',
-    './i18n/en.json',
-    './i18n/de.json',
-    './i18n/fr.json',
-    './i18n/es.json',
-    './i18n/ru.json',
-    './i18n/uk.json'
+// Precache manifest - revize jsou hashe obsahu souborů, generuje je
+// node tools/precache-manifest.js (po každé změně souboru ze seznamu)
+// precache-manifest:start
+const PRECACHE_MANIFEST = [
+    { url: './', revision: '0441589b8dee' },
+    { url: './index.html', revision: '0441589b8dee' },
+    { url: './i18n.js', revision: '6268b28c3627' },
+    { url: './calendar-core.js', revision: '08684efb7c77' },
+    { url: './manifest.json', revision: '8eca714ddede' }
 ];
+const PRECACHE_REVISION = '5e332cfa5cbf';
+// precache-manifest:end
+
+const CACHE_VERSION = 'v1.73-' + PRECACHE_REVISION;
+const CACHE_NAME = CACHE_BASE_NAME + '-' + CACHE_VERSION;
+
+// Jazykové balíčky (i18n/*.json) mají vlastní cache nezávislou na verzi
+// aplikace: stale-while-revalidate + uložení při změně jazyka
+const LANGUAGE_CACHE_NAME = CACHE_BASE_NAME + '-i18n';
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_PACK_PATTERN = /\/i18n\/([a-z]{2})\.json$/;
+
+// Připomínky naplánované stránkou (index.html, buildReminders) -
+// stejná databáze a úložiště jako tam
+const REMINDER_DB_NAME = 'calendarCalculatorReminders';
+const REMINDER_STORE = 'reminders';
+const REMINDER_SYNC_TAG = 'astronomical-reminders';
+
+// Revize uložená u každé položky v cache, podle ní se při instalaci
+// nové verze přebírají nezměněné soubory bez stahování
+const REVISION_HEADER = 'X-Precache-Revision';
 
 let isInstalled = false;
 let installPromise = null;
@@ -32,31 +47,10 @@ self.addEventListener('install', function(event) {
         return;
     }
     
-    installPromise = caches.open(CACHE_NAME)
-        .then(function(cache) {
-            console.log('SW: Opened cache:', CACHE_NAME);
-            
-            return Promise.allSettled(
-                URLS_TO_CACHE.map(function(url) {
-                    return fetch(url)
-                        .then(function(response) {
-                            if (response.ok) {
-                                return cache.put(url, response);
-                            }
-                            throw new Error('Failed to fetch: ' + url);
-                        })
-                        .catch(function(error) {
-                            console.warn('SW: Failed to cache:', url, error.message);
-                            return Promise.resolve(); // Continue even if some resources fail
-                        });
-                })
-            );
-        })
+    installPromise = Promise.all([precacheAssets(), ensureLanguagePack(DEFAULT_LANGUAGE)])
         .then(function(results) {
-            const successful = results.filter(r => r.status === 'fulfilled').length;
-            const failed = results.filter(r => r.status === 'rejected').length;
-            
-            console.log(`SW: Cache creation complete. Success: ${successful}, Failed: ${failed}`);
+            const stats = results[0];
+            console.log(`SW: Precache complete. Reused: ${stats.reused}, fetched: ${stats.fetched}, failed: ${stats.failed}`);
             isInstalled = true;
             
             // Take control immediately
@@ -70,6 +64,72 @@ self.addEventListener('install', function(event) {
     event.waitUntil(installPromise);
 });
 
+// Uloží všechny soubory z manifestu do cache této verze. Soubor se stejnou
+// revizí se převezme z cache předchozí verze, stahují se jen změněné.
+async function precacheAssets() {
+    const cache = await caches.open(CACHE_NAME);
+    const stats = { reused: 0, fetched: 0, failed: 0 };
+    
+    await Promise.all(PRECACHE_MANIFEST.map(async function(entry) {
+        try {
+            const current = await cache.match(entry.url);
+            if (current && current.headers.get(REVISION_HEADER) === entry.revision) {
+                stats.reused++;
+                return;
+            }
+            
+            let response = await findPrecachedRevision(entry);
+            if (response) {
+                stats.reused++;
+            } else {
+                response = await fetch(entry.url, { cache: 'reload' });
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status);
+                }
+                stats.fetched++;
+            }
+            await cache.put(entry.url, await withRevision(response, entry.revision));
+        } catch (error) {
+            stats.failed++;
+            console.warn('SW: Failed to cache:', entry.url, error.message);
+        }
+    }));
+    
+    return stats;
+}
+
+// Najde soubor se stejnou revizí v cache starší verze
+async function findPrecachedRevision(entry) {
+    const cacheNames = await caches.keys();
+    
+    for (const cacheName of cacheNames) {
+        if (!isPrecacheName(cacheName) || cacheName === CACHE_NAME) continue;
+        
+        const cache = await caches.open(cacheName);
+        const response = await cache.match(entry.url);
+        if (response && response.headers.get(REVISION_HEADER) === entry.revision) {
+            return response;
+        }
+    }
+    
+    return null;
+}
+
+function isPrecacheName(cacheName) {
+    return cacheName.startsWith(CACHE_BASE_NAME) && cacheName !== LANGUAGE_CACHE_NAME;
+}
+
+async function withRevision(response, revision) {
+    const headers = new Headers(response.headers);
+    headers.set(REVISION_HEADER, revision);
+    
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: headers
+    });
+}
+
 // Activate event - clean old caches and take control
 self.addEventListener('activate', function(event) {
     console.log('SW: Activating...');
@@ -80,7 +140,7 @@ self.addEventListener('activate', function(event) {
             caches.keys().then(function(cacheNames) {
                 return Promise.all(
                     cacheNames.map(function(cacheName) {
-                        if (cacheName.startsWith(CACHE_BASE_NAME) && cacheName !== CACHE_NAME) {
+                        if (isPrecacheName(cacheName) && cacheName !== CACHE_NAME) {
                             console.log('SW: Deleting old cache:', cacheName);
                             return caches.delete(cacheName);
                         }
@@ -131,6 +191,12 @@ self.addEventListener('fetch', function(event) {
         return;
     }
     
+    // Language packs - stale-while-revalidate
+    if (LANGUAGE_PACK_PATTERN.test(new URL(event.request.url).pathname)) {
+        event.respondWith(staleWhileRevalidate(event));
+        return;
+    }
+    
     event.respondWith(
         handleRequest(event.request)
     );
@@ -144,12 +210,6 @@ async function handleRequest(request) {
         
         if (cachedResponse) {
             console.log('SW: Serving from cache:', request.url);
-            
-            // For HTML requests, check for updates in background
-            if (isHTMLRequest(request)) {
-                updateInBackground(request);
-            }
-            
             return cachedResponse;
         }
         
@@ -229,50 +289,62 @@ async function tryNetwork(request) {
     }
 }
 
-// Update in background (non-blocking)
-function updateInBackground(request) {
-    // Don't run background updates too frequently
-    if (self.lastBackgroundUpdate && 
-        Date.now() - self.lastBackgroundUpdate < 30000) {
-        return;
-    }
-    
-    self.lastBackgroundUpdate = Date.now();
+// Language pack from cache, refreshed from network for the next load
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(LANGUAGE_CACHE_NAME);
+    const cachedResponse = await cache.match(event.request, { ignoreSearch: true });
     
-    fetch(request, { cache: 'no-cache' })
-        .then(async function(response) {
+    const networkResponse = fetch(event.request, { cache: 'no-cache' })
+        .then(function(response) {
             if (response && response.ok) {
-                const newContent = await response.text();
-                const cache = await caches.open(CACHE_NAME);
-                const cachedResponse = await cache.match(request);
-                
-                if (cachedResponse) {
-                    const cachedContent = await cachedResponse.text();
-                    
-                    if (newContent !== cachedContent) {
-                        console.log('SW: Background update detected');
-                        
-                        // Update cache
-                        await cache.put(request, new Response(newContent, {
-                            headers: response.headers
-                        }));
-                        
-                        // Notify clients
-                        const clients = await self.clients.matchAll();
-                        clients.forEach(function(client) {
-                            client.postMessage({
-                                type: 'UPDATE_AVAILABLE',
-                                url: request.url
-                            });
-                        });
-                    }
-                }
+                return cache.put(event.request.url.split('?')[0], response.clone())
+                    .then(function() {
+                        return response;
+                    });
             }
-        })
-        .catch(function(error) {
-            // Silent fail for background updates
-            console.log('SW: Background update failed (normal when offline)');
+            throw new Error('Network response not ok');
         });
+    
+    if (cachedResponse) {
+        event.waitUntil(networkResponse.catch(function() {
+            console.log('SW: Language pack revalidation failed (normal when offline)');
+        }));
+        return cachedResponse;
+    }
+    
+    return networkResponse.catch(function(error) {
+        console.log('SW: Language pack unavailable:', event.request.url, error.message);
+        return createErrorResponse();
+    });
+}
+
+// Výchozí jazyk je záložní pro chybějící klíče, musí být v cache i offline
+async function ensureLanguagePack(language) {
+    const cache = await caches.open(LANGUAGE_CACHE_NAME);
+    return (await cache.match('./i18n/' + language + '.json')) ? true : cacheLanguagePack(language);
+}
+
+// Stáhne a uloží jazykový balíček (při změně jazyka)
+async function cacheLanguagePack(language) {
+    if (!/^[a-z]{2}$/.test(language)) {
+        console.warn('SW: Invalid language pack:', language);
+        return false;
+    }
+    
+    const url = './i18n/' + language + '.json';
+    try {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        const cache = await caches.open(LANGUAGE_CACHE_NAME);
+        await cache.put(url, response);
+        console.log('SW: Language pack cached:', language);
+        return true;
+    } catch (error) {
+        console.warn('SW: Failed to cache language pack:', language, error.message);
+        return false;
+    }
 }
 
 // Create offline response
@@ -352,7 +424,15 @@ self.addEventListener('message', function(event) {
             
         case 'LANGUAGE_CHANGED':
             console.log('SW: Language changed to:', event.data.language);
-            // Could cache language-specific resources here
+            event.waitUntil(cacheLanguagePack(event.data.language));
+            break;
+            
+        case 'CHECK_REMINDERS':
+            event.waitUntil(showDueReminders());
+            break;
+            
+        case 'GET_OFFLINE_REPORT':
+            event.waitUntil(handleOfflineReportRequest(event));
             break;
             
         default:
@@ -397,36 +477,10 @@ async function checkForUpdates() {
             });
         });
         
-        // Check main page and key resources
-        const urlsToCheck = ['./', './index.html', './i18n.js'];
-        let hasUpdates = false;
-        
-        for (const url of urlsToCheck) {
-            try {
-                const response = await fetch(url, { cache: 'no-cache' });
-                if (response && response.ok) {
-                    const cache = await caches.open(CACHE_NAME);
-                    const cachedResponse = await cache.match(url);
-                    
-                    if (cachedResponse) {
-                        const newContent = await response.text();
-                        const cachedContent = await cachedResponse.text();
-                        
-                        if (newContent !== cachedContent) {
-                            hasUpdates = true;
-                            console.log('SW: Update detected for:', url);
-                            
-                            // Update cache
-                            await cache.put(url, new Response(newContent, {
-                                headers: response.headers
-                            }));
-                        }
-                    }
-                }
-            } catch (error) {
-                console.warn('SW: Failed to check updates for:', url, error);
-            }
-        }
+        // Nová verze = změněný manifest v sw.js, prohlížeč ji nainstaluje
+        // a precacheAssets stáhne jen soubory se změněnou revizí
+        await self.registration.update();
+        const hasUpdates = Boolean(self.registration.installing || self.registration.waiting);
         
         // Notify clients about results
         clients.forEach(function(client) {
@@ -472,6 +526,95 @@ self.addEventListener('sync', function(event) {
     }
 });
 
+// Připomínky i při zavřené aplikaci (Periodic Background Sync, pokud ho prohlížeč podporuje)
+self.addEventListener('periodicsync', function(event) {
+    if (event.tag === REMINDER_SYNC_TAG) {
+        console.log('SW: Periodic reminder check');
+        event.waitUntil(showDueReminders());
+    }
+});
+
+// Klepnutí na připomínku otevře aplikaci v pohledu události
+self.addEventListener('notificationclick', function(event) {
+    event.notification.close();
+    const url = new URL('./?view=' + encodeURIComponent(event.notification.data && event.notification.data.view || 'dayofweek'),
+        self.registration.scope).href;
+    
+    // navigate() funguje jen u oken, která tento worker řídí (bez includeUncontrolled)
+    event.waitUntil(self.clients.matchAll({ type: 'window' })
+        .then(function(clients) {
+            for (const client of clients) {
+                if (client.url.indexOf(self.registration.scope) === 0 && 'navigate' in client && 'focus' in client) {
+                    return client.navigate(url).then(function(navigated) {
+                        return (navigated || client).focus();
+                    }).catch(function() {
+                        return self.clients.openWindow(url);
+                    });
+                }
+            }
+            return self.clients.openWindow(url);
+        }));
+});
+
+function openReminderDb() {
+    return new Promise(function(resolve, reject) {
+        const request = indexedDB.open(REMINDER_DB_NAME, 1);
+        request.onupgradeneeded = function() {
+            request.result.createObjectStore(REMINDER_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = function() {
+            resolve(request.result);
+        };
+        request.onerror = function() {
+            reject(request.error);
+        };
+    });
+}
+
+// Zobrazí splatné a ještě neprošlé připomínky a označí je jako zobrazené
+async function showDueReminders() {
+    try {
+        const db = await openReminderDb();
+        const now = Date.now();
+        const due = await new Promise(function(resolve, reject) {
+            const transaction = db.transaction(REMINDER_STORE, 'readwrite');
+            const store = transaction.objectStore(REMINDER_STORE);
+            const found = [];
+            const request = store.getAll();
+            
+            request.onsuccess = function() {
+                request.result.forEach(function(reminder) {
+                    if (reminder.expiresAt <= now) {
+                        store.delete(reminder.id);
+                    } else if (!reminder.shown && reminder.notifyAt <= now) {
+                        reminder.shown = true;
+                        store.put(reminder);
+                        found.push(reminder);
+                    }
+                });
+            };
+            transaction.oncomplete = function() {
+                resolve(found);
+            };
+            transaction.onerror = transaction.onabort = function() {
+                reject(transaction.error);
+            };
+        });
+        db.close();
+        
+        await Promise.all(due.map(function(reminder) {
+            return self.registration.showNotification(reminder.title, {
+                body: reminder.body,
+                tag: reminder.id,
+                data: { view: reminder.view }
+            });
+        }));
+        console.log('SW: Reminders shown:', due.length);
+    } catch (error) {
+        console.warn('SW: Reminder check failed:', error.message || error);
+    }
+}
+
 // Handle push notifications (future expansion)
 self.addEventListener('push', function(event) {
     console.log('SW: Push event received');
@@ -493,36 +636,55 @@ function logPerformance(operation, startTime) {
     }
 }
 
-// Cache statistics helper
-async function getCacheStats() {
-    try {
-        const cache = await caches.open(CACHE_NAME);
-        const keys = await cache.keys();
-        const stats = {
-            name: CACHE_NAME,
-            entries: keys.length,
-            urls: keys.map(req => req.url)
+// Offline readiness report - které soubory z manifestu a které jazykové
+// balíčky jsou opravdu v cache
+async function getOfflineReport() {
+    const cache = await caches.open(CACHE_NAME);
+    const assets = await Promise.all(PRECACHE_MANIFEST.map(async function(entry) {
+        const response = await cache.match(entry.url);
+        return {
+            url: entry.url,
+            revision: entry.revision,
+            cached: Boolean(response && response.headers.get(REVISION_HEADER) === entry.revision)
         };
-        console.log('SW: Cache stats:', stats);
-        return stats;
-    } catch (error) {
-        console.error('SW: Failed to get cache stats:', error);
-        return null;
-    }
+    }));
+    
+    const languageCache = await caches.open(LANGUAGE_CACHE_NAME);
+    const languages = (await languageCache.keys())
+        .map(function(request) {
+            const match = new URL(request.url).pathname.match(LANGUAGE_PACK_PATTERN);
+            return match ? match[1] : null;
+        })
+        .filter(Boolean)
+        .sort();
+    
+    return {
+        version: CACHE_VERSION,
+        cacheName: CACHE_NAME,
+        assets: assets,
+        languages: languages,
+        complete: assets.every(function(asset) {
+            return asset.cached;
+        })
+    };
 }
 
-// Expose cache stats via message
-self.addEventListener('message', function(event) {
-    if (event.data && event.data.type === 'GET_CACHE_STATS') {
-        getCacheStats().then(function(stats) {
-            if (event.ports && event.ports[0]) {
-                event.ports[0].postMessage({
-                    type: 'CACHE_STATS_RESPONSE',
-                    stats: stats
-                });
-            }
+async function handleOfflineReportRequest(event) {
+    if (!event.ports || !event.ports[0]) return;
+    
+    try {
+        event.ports[0].postMessage({
+            type: 'OFFLINE_REPORT',
+            report: await getOfflineReport()
+        });
+    } catch (error) {
+        console.error('SW: Failed to build offline report:', error);
+        event.ports[0].postMessage({
+            type: 'OFFLINE_REPORT',
+            report: null,
+            error: error.message
         });
     }
-});
+}
 
 console.log('SW: Script loaded and ready - version', CACHE_VERSION);
\ No newline at end of file
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+// Kontrola překladů: porovná každý i18n/*.json s en.json.
+// Hlásí chybějící a přebývající klíče, duplicitní klíče, rozbité zprávy ve stylu ICU
+// a rozdílné proměnné ({weekday} v en.json, ale ne v překladu). Při chybě končí kódem 1.
+//
+// Použití: node tools/check-i18n.js [adresář s překlady]
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const REFERENCE = 'en.json';
+const MESSAGE_ARGUMENT = /^\s*(\w+)\s*(?:,\s*(number|plural|selectordinal|select)\s*(?:,\s*([\s\S]*))?)?$/;
+
+// Klíče nejvyšší úrovně v pořadí výskytu (JSON.parse duplicitní klíče tiše přepíše)
+function readTopLevelKeys(text) {
+    const keys = [];
+    let depth = 0;
+    let expectKey = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') {
+            let end = i + 1;
+            while (text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+            if (depth === 1 && expectKey) keys.push(JSON.parse(text.slice(i, end + 1)));
+            expectKey = false;
+            i = end;
+        } else if (char === '{' || char === '[') {
+            depth++;
+            expectKey = depth === 1;
+        } else if (char === '}' || char === ']') {
+            depth--;
+        } else if (char === ',' && depth === 1) {
+            expectKey = true;
+        }
+    }
+    return keys;
+}
+
+function findClosingBrace(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}' && --depth === 0) return i;
+    }
+    return -1;
+}
+
+function parseOptions(text) {
+    const options = {};
+    let i = 0;
+    while (i < text.length) {
+        const selector = /^\s*([^\s{]+)\s*/.exec(text.slice(i));
+        if (!selector) break;
+        const open = i + selector[0].length;
+        const close = text[open] === '{' ? findClosingBrace(text, open) : -1;
+        if (close === -1) throw new Error(`option "${selector[1]}" without {…}`);
+        options[selector[1]] = text.slice(open + 1, close);
+        i = close + 1;
+    }
+    return options;
+}
+
+// Názvy proměnných ve zprávě včetně větví plural/select
+function collectArguments(message, names) {
+    for (let i = 0; i < message.length; i++) {
+        if (message[i] === '}') throw new Error('unexpected }');
+        if (message[i] !== '{') continue;
+        const close = findClosingBrace(message, i);
+        if (close === -1) throw new Error('unclosed {');
+        const argument = MESSAGE_ARGUMENT.exec(message.slice(i + 1, close));
+        if (argument) {
+            names.add(argument[1]);
+            if (argument[2] && argument[2] !== 'number') {
+                const options = parseOptions(argument[3] || '');
+                if (!options.other) throw new Error(`${argument[2]} {${argument[1]}} without "other"`);
+                Object.keys(options).forEach(key => collectArguments(options[key], names));
+            }
+        }
+        i = close;
+    }
+    return names;
+}
+
+function loadMessages(file, report) {
+    const text = fs.readFileSync(file, 'utf8');
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        report(`invalid JSON: ${e.message}`);
+        return null;
+    }
+    const seen = new Set();
+    readTopLevelKeys(text).forEach(key => {
+        if (seen.has(key)) report(`duplicate key "${key}"`);
+        seen.add(key);
+    });
+
+    const messages = {};
+    Object.keys(data).forEach(key => {
+        if (key.startsWith('_')) return;
+        if (typeof data[key] !== 'string') {
+            report(`"${key}" is not a string`);
+            return;
+        }
+        try {
+            messages[key] = collectArguments(data[key], new Set());
+        } catch (e) {
+            report(`"${key}": ${e.message}`);
+            messages[key] = null;
+        }
+    });
+    return messages;
+}
+
+function checkTranslations(dir) {
+    let problems = 0;
+    const reporter = file => message => {
+        problems++;
+        console.log(`${file}: ${message}`);
+    };
+
+    const reference = loadMessages(path.join(dir, REFERENCE), reporter(REFERENCE));
+    if (!reference) return problems;
+
+    fs.readdirSync(dir).filter(file => file.endsWith('.json') && file !== REFERENCE).sort().forEach(file => {
+        const report = reporter(file);
+        const messages = loadMessages(path.join(dir, file), report);
+        if (!messages) return;
+
+        Object.keys(reference).forEach(key => {
+            if (!(key in messages)) {
+                report(`missing key "${key}"`);
+                return;
+            }
+            if (!messages[key] || !reference[key]) return;
+            const expected = [...reference[key]].sort().join(', ');
+            const actual = [...messages[key]].sort().join(', ');
+            if (expected !== actual) {
+                report(`"${key}" placeholders {${actual}} differ from ${REFERENCE} {${expected}}`);
+            }
+        });
+        Object.keys(messages).forEach(key => {
+            if (!(key in reference)) report(`extra key "${key}"`);
+        });
+    });
+    return problems;
+}
+
+const dir = process.argv[2] || path.join(__dirname, '..', 'i18n');
+const problems = checkTranslations(dir);
+if (problems) {
+    console.log(`\n${problems} translation problem(s) found`);
+    process.exit(1);
+}
+console.log('All translations match en.json');
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// Precache manifest v sw.js: ke každému souboru spočítá revizi (hash obsahu)
+// a z nich verzi cache. Seznam souborů je ten, který už v manifestu je,
+// './' je alias pro index.html. S --check jen ověří, že manifest sedí, a při
+// neshodě skončí kódem 1.
+//
+// Použití: node tools/precache-manifest.js [--check]
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SERVICE_WORKER = path.join(ROOT, 'sw.js');
+const MANIFEST_BLOCK = /(\/\/ precache-manifest:start\n)[\s\S]*?(\/\/ precache-manifest:end)/;
+const MANIFEST_URL = /url: '([^']+)'/g;
+
+function hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+function getFile(url) {
+    return path.join(ROOT, url === './' ? 'index.html' : url);
+}
+
+function buildManifest(urls) {
+    const entries = urls.map(url => ({ url, revision: hash(fs.readFileSync(getFile(url))) }));
+    const revision = hash(entries.map(entry => entry.url + ' ' + entry.revision).join('\n'));
+
+    return 'const PRECACHE_MANIFEST = [\n' +
+        entries.map(entry => `    { url: '${entry.url}', revision: '${entry.revision}' }`).join(',\n') +
+        '\n];\n' +
+        `const PRECACHE_REVISION = '${revision}';\n`;
+}
+
+function main() {
+    const source = fs.readFileSync(SERVICE_WORKER, 'utf8');
+    const block = source.match(MANIFEST_BLOCK);
+    if (!block) {
+        console.error('sw.js: precache-manifest markers not found');
+        process.exit(1);
+    }
+
+    const urls = Array.from(block[0].matchAll(MANIFEST_URL), match => match[1]);
+    const missing = urls.filter(url => !fs.existsSync(getFile(url)));
+    if (!urls.length || missing.length) {
+        console.error(urls.length ? 'Missing files: ' + missing.join(', ') : 'sw.js: precache manifest is empty');
+        process.exit(1);
+    }
+
+    const updated = source.replace(MANIFEST_BLOCK, (all, start, end) => start + buildManifest(urls) + end);
+    if (updated === source) {
+        console.log(`Precache manifest is up to date (${urls.length} files)`);
+        return;
+    }
+    if (process.argv.includes('--check')) {
+        console.error('Precache manifest is stale, run: node tools/precache-manifest.js');
+        process.exit(1);
+    }
+
+    fs.writeFileSync(SERVICE_WORKER, updated);
+    console.log(`Precache manifest updated (${urls.length} files)`);
+}
+
+main();